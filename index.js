@@ -1,16 +1,24 @@
-import { app } from "./src/app.js";
+import { app, configureTrustProxy } from "./src/app.js";
 import { connectDb } from "./src/db/connectDB.js";
+import { runMigrations } from "./src/db/migrations.js";
+import { startJobs } from "./src/jobs/index.js";
+import { assertMailTransportConfigured } from "./src/utils/index.js";
 import dotenv from "dotenv";
 
 dotenv.config({
   path: "./.env",
 });
 
+configureTrustProxy();
+assertMailTransportConfigured();
+
 connectDb()
+  .then(runMigrations)
   .then(() => {
     app.listen(process.env.PORT, () => {
       console.log(`Server running on port ${process.env.PORT}🌞`);
     });
+    startJobs();
   })
   .catch((error) => {
     console.log(`Error while connecting to DATABASE ${error}❌`);
@@ -2,20 +2,55 @@ import express from "express";
 import cookieParser from "cookie-parser";
 import cors from "cors";
 import { errorHandler } from "./middleware/errorHandler.middleware.js";
+import { serveLocalMedia } from "./middleware/localMedia.middleware.js";
 
 export const app = express();
 
+/**
+ * TRUST_PROXY names the reverse proxies whose X-Forwarded-For header is
+ * believed, so req.ip is the client and the ip based limits do not put
+ * every client behind the proxy into one bucket. It takes the number of
+ * proxies in front of the app ("1"), "true" to trust any, or addresses
+ * and subnets ("loopback, 10.0.0.0/8"). Unset, no proxy is trusted,
+ * which is right only when clients reach the app directly. Called once
+ * the env is loaded
+ */
+export const configureTrustProxy = () => {
+  const value = process.env.TRUST_PROXY?.trim();
+
+  if (!value || value === "false") {
+    app.set("trust proxy", false);
+  } else if (value === "true") {
+    app.set("trust proxy", true);
+  } else if (/^\d+$/.test(value)) {
+    app.set("trust proxy", Number(value));
+  } else {
+    app.set("trust proxy", value);
+  }
+};
+
 app.use(
   cors({
     origin:
       "https://you-tweet-frontend-l32h-m0j8ndqbc-syedbilal205s-projects.vercel.app",
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "PATCH"],
+    methods: ["GET", "HEAD", "POST", "PUT", "DELETE", "PATCH"],
+    exposedHeaders: [
+      "Location",
+      "Upload-Offset",
+      "Upload-Length",
+      "Upload-Expires",
+      "Tus-Resumable",
+      "Tus-Version",
+      "Tus-Extension",
+      "Tus-Checksum-Algorithm",
+    ],
   })
 );
 app.use(express.json({ limit: "16kb" }));
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
 app.use(express.static("public"));
+app.use("/media", serveLocalMedia);
 app.use(cookieParser());
 
 // routes imports
@@ -27,6 +62,9 @@ import commentRoute from "./routes/comment.route.js";
 import likeRoute from "./routes/like.route.js";
 import PlaylistRoute from "./routes/playlist.route.js";
 import dashboardRoute from "./routes/dashboard.route.js";
+import uploadRoute from "./routes/upload.route.js";
+import categoryRoute from "./routes/category.route.js";
+import searchRoute from "./routes/search.route.js";
 
 // routes define
 app.use("/api/user", userRoute); //done
@@ -37,6 +75,9 @@ app.use("/api/comment", commentRoute); //done
 app.use("/api/like", likeRoute); //done
 app.use("/api/playlist", PlaylistRoute); //done
 app.use("/api/dashboard", dashboardRoute); //done
+app.use("/api/upload", uploadRoute);
+app.use("/api/category", categoryRoute);
+app.use("/api/search", searchRoute);
 
 app.get("*", (req, res) => {
   res.send("The page you are looking for does not exist");
@@ -0,0 +1,130 @@
+import crypto from "crypto";
+import ApiKey from "../models/apiKey.model.js";
+import {
+  asyncHandler,
+  ApiResponse,
+  ApiError,
+  hashToken,
+  API_KEY_SCOPES,
+} from "../utils/index.js";
+import { isValidObjectId } from "mongoose";
+
+const MAX_KEYS_PER_USER = 20;
+
+/**
+ * Create a new API key, the raw key is only returned once
+ */
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name?.trim()) {
+    throw new ApiError(400, "Please add a name");
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiError(400, "Please select at least one scope");
+  }
+
+  const unknownScopes = scopes.filter(
+    (scope) => !API_KEY_SCOPES.includes(scope)
+  );
+
+  if (unknownScopes.length) {
+    throw new ApiError(
+      400,
+      `Unknown scopes: ${unknownScopes.join(", ")}`,
+      [],
+      { availableScopes: API_KEY_SCOPES }
+    );
+  }
+
+  let expiresAt;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new ApiError(
+        400,
+        "expiresInDays must be a positive number"
+      );
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const activeKeys = await ApiKey.countDocuments({
+    user: req.user._id,
+    revokedAt: null,
+  });
+
+  if (activeKeys >= MAX_KEYS_PER_USER) {
+    throw new ApiError(
+      400,
+      `You can have at most ${MAX_KEYS_PER_USER} API keys`
+    );
+  }
+
+  const rawKey = `ytk_${crypto
+    .randomBytes(32)
+    .toString("base64url")}`;
+
+  const apiKey = await ApiKey.create({
+    user: req.user._id,
+    name: name.trim(),
+    prefix: rawKey.slice(0, 12),
+    keyHash: hashToken(rawKey),
+    scopes: [...new Set(scopes)],
+    expiresAt,
+  });
+
+  return res.status(201).json(
+    new ApiResponse(201, "API key created, copy it now", {
+      _id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      createdAt: apiKey.createdAt,
+      key: rawKey,
+    })
+  );
+});
+
+/**
+ * Get the API keys of the user
+ */
+export const getMyApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({
+    user: req.user._id,
+    revokedAt: null,
+  }).sort({ createdAt: -1 });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, "API keys fetched successfully", apiKeys)
+    );
+});
+
+/**
+ * Revoke an API key of the user
+ */
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const { keyId } = req.params;
+
+  if (!isValidObjectId(keyId)) {
+    throw new ApiError(400, "Invalid API key id");
+  }
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: keyId, user: req.user._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    throw new ApiError(404, "API key not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "API key revoked successfully"));
+});
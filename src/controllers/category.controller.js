@@ -0,0 +1,159 @@
+import Category from "../models/category.model.js";
+import Video from "../models/video.model.js";
+import {
+  asyncHandler,
+  ApiResponse,
+  ApiError,
+  normalizeTag,
+} from "../utils/index.js";
+import { isValidObjectId } from "mongoose";
+
+const assertSlugIsFree = async (slug, categoryId) => {
+  if (!slug) {
+    throw new ApiError(400, "Please add a name");
+  }
+
+  const existing = await Category.findOne({
+    slug,
+    _id: { $ne: categoryId },
+  });
+
+  if (existing) {
+    throw new ApiError(
+      409,
+      "A category with this name already exists"
+    );
+  }
+};
+
+/**
+ * Get the active categories with the number of videos in each
+ */
+export const getCategories = asyncHandler(async (req, res) => {
+  const categories = await Category.find({ isActive: true })
+    .sort({ name: 1 })
+    .lean();
+
+  const counts = await Video.aggregate([
+    {
+      $match: {
+        ...Video.listedFilter(),
+        category: { $in: categories.map((category) => category._id) },
+      },
+    },
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+  ]);
+
+  const countOf = new Map(
+    counts.map(({ _id, count }) => [_id.toString(), count])
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      "Categories fetched successfully",
+      categories.map((category) => ({
+        ...category,
+        videoCount: countOf.get(category._id.toString()) || 0,
+      }))
+    )
+  );
+});
+
+/**
+ * Create a category
+ */
+export const createCategory = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  if (typeof name !== "string") {
+    throw new ApiError(400, "Please add a name");
+  }
+
+  const slug = normalizeTag(name);
+  await assertSlugIsFree(slug);
+
+  const category = await Category.create({
+    name: name.trim(),
+    slug,
+    description,
+  });
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(201, "Category created successfully", category)
+    );
+});
+
+/**
+ * Rename, describe or deactivate a category
+ */
+export const updateCategory = asyncHandler(async (req, res) => {
+  const { categoryId } = req.params;
+  const { name, description, isActive } = req.body;
+
+  if (!isValidObjectId(categoryId)) {
+    throw new ApiError(400, "Invalid category id");
+  }
+
+  const category = await Category.findById(categoryId);
+
+  if (!category) {
+    throw new ApiError(404, "Category not found");
+  }
+
+  if (name !== undefined) {
+    if (typeof name !== "string") {
+      throw new ApiError(400, "name must be a string");
+    }
+
+    const slug = normalizeTag(name);
+    await assertSlugIsFree(slug, category._id);
+
+    category.name = name.trim();
+    category.slug = slug;
+  }
+
+  if (description !== undefined) {
+    category.description = description;
+  }
+
+  if (isActive !== undefined) {
+    category.isActive = isActive === true || isActive === "true";
+  }
+
+  await category.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, "Category updated successfully", category)
+    );
+});
+
+/**
+ * Delete a category, its videos are left without one
+ */
+export const deleteCategory = asyncHandler(async (req, res) => {
+  const { categoryId } = req.params;
+
+  if (!isValidObjectId(categoryId)) {
+    throw new ApiError(400, "Invalid category id");
+  }
+
+  const category = await Category.findByIdAndDelete(categoryId);
+
+  if (!category) {
+    throw new ApiError(404, "Category not found");
+  }
+
+  await Video.updateMany(
+    { category: category._id },
+    { $unset: { category: 1 } }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Category deleted successfully"));
+});
@@ -1,8 +1,13 @@
 import Comment from "../models/comment.model.js";
+import Video from "../models/video.model.js";
 import {
   asyncHandler,
   ApiResponse,
   ApiError,
+  assertOwnerOrPermission,
+  assertNotBlocked,
+  assertCanViewVideo,
+  getHiddenUserIds,
 } from "../utils/index.js";
 import { isValidObjectId } from "mongoose";
 
@@ -16,11 +21,26 @@ export const getVideoComment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid video id");
   }
 
-  const comments = await Comment.find({ video: videoId })
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  await assertCanViewVideo(req.user, video, {
+    shareToken: req.query.share,
+  });
+
+  const hiddenUserIds = await getHiddenUserIds(req.user?._id);
+
+  const comments = await Comment.find({
+    video: videoId,
+    owner: { $nin: hiddenUserIds },
+  })
     .sort({ createdAt: -1 })
     .populate({
       path: "video",
-      select: "title videoFile",
+      select: "title",
     })
     .populate({
       path: "owner",
@@ -53,6 +73,22 @@ export const createComment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Please provide video id");
   }
 
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  await assertCanViewVideo(req.user, video, {
+    shareToken: req.query.share,
+  });
+
+  await assertNotBlocked(
+    req.user._id,
+    video.owner,
+    "You can not comment on this video"
+  );
+
   const comments = await Comment.create({
     comment,
     owner: req.user._id,
@@ -85,16 +121,22 @@ export const updateComment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Please provide text");
   }
 
-  const updatedComment = await Comment.findByIdAndUpdate(
-    { _id: commentId, owner: req.user._id },
-    { comment },
-    { new: true }
-  );
+  const existingComment = await Comment.findById(commentId);
 
-  if (!updatedComment) {
+  if (!existingComment) {
     throw new ApiError(404, "Comment not found");
   }
 
+  assertOwnerOrPermission(
+    req.user,
+    existingComment.owner,
+    "comments:moderate",
+    "You are not authorized to update this comment"
+  );
+
+  existingComment.comment = comment;
+  const updatedComment = await existingComment.save();
+
   return res
     .status(200)
     .json(
@@ -116,15 +158,21 @@ export const deleteComment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid comment id");
   }
 
-  const deletedComment = await Comment.findByIdAndDelete({
-    _id: commentId,
-    owner: req.user._id,
-  });
+  const comment = await Comment.findById(commentId);
 
-  if (!deletedComment) {
+  if (!comment) {
     throw new ApiError(404, "Comment not found");
   }
 
+  assertOwnerOrPermission(
+    req.user,
+    comment.owner,
+    "comments:moderate",
+    "You are not authorized to delete this comment"
+  );
+
+  await Comment.findByIdAndDelete(commentId);
+
   return res
     .status(200)
     .json(new ApiResponse(200, "Comment deleted successfully"));
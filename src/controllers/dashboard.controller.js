@@ -1,6 +1,8 @@
 import Videos from "../models/video.model.js";
 import Likes from "../models/like.model.js";
 import Subscriptions from "../models/subscription.model.js";
+import Comments from "../models/comment.model.js";
+import Tweets from "../models/tweet.model.js";
 import {
   asyncHandler,
   ApiResponse,
@@ -18,19 +20,20 @@ export const getChannelStats = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Unauthorized");
   }
 
-  // Get the subscriber count
-  const subscriptions = await Subscriptions.find().select("channel");
-  console.log(subscriptions);
-  const subscriberCount = subscriptions.length;
-
-  // Get the channel IDs
-  const channelIds = subscriptions.map((sub) => sub.channel);
-
-  // Get the video count and total video views for the subscriber's channels
-  const videoCount = await Videos.countDocuments({ owner: userId });
-
+  const [subscriberCount, videoIds, commentIds, tweetIds] =
+    await Promise.all([
+      Subscriptions.countDocuments({
+        channel: userId,
+        status: { $ne: "pending" },
+      }),
+      Videos.find({ owner: userId }).distinct("_id"),
+      Comments.find({ owner: userId }).distinct("_id"),
+      Tweets.find({ owner: userId }).distinct("_id"),
+    ]);
+
+  // views are counted from deduplicated view events
   const totalVideoViews = await Videos.aggregate([
-    { $match: { owner: { $in: channelIds } } },
+    { $match: { owner: userId } },
     {
       $group: {
         _id: null,
@@ -39,19 +42,13 @@ export const getChannelStats = asyncHandler(async (req, res) => {
     },
   ]);
 
-  const videoLikeCount = await Likes.countDocuments({
-    video: { $exists: true },
-  });
-
-  // Get total likes on comments
-  const commentLikeCount = await Likes.countDocuments({
-    comment: { $exists: true },
-  });
-
-  // Get total likes on tweets
-  const tweetLikeCount = await Likes.countDocuments({
-    tweet: { $exists: true },
-  });
+  // Count the likes on the content of the channel
+  const [videoLikeCount, commentLikeCount, tweetLikeCount] =
+    await Promise.all([
+      Likes.countDocuments({ video: { $in: videoIds } }),
+      Likes.countDocuments({ comment: { $in: commentIds } }),
+      Likes.countDocuments({ tweet: { $in: tweetIds } }),
+    ]);
 
   // Calculate the total likes
   const totalLikes = {
@@ -62,7 +59,7 @@ export const getChannelStats = asyncHandler(async (req, res) => {
 
   // Calculate the stats
   const stats = {
-    videoCount,
+    videoCount: videoIds.length,
     totalVideoViews: totalVideoViews.length
       ? totalVideoViews[0].totalViews
       : 0,
@@ -71,7 +68,15 @@ export const getChannelStats = asyncHandler(async (req, res) => {
   };
 
   // Return the stats
-  return res.status(200).json(new ApiResponse(200, stats));
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "Channel stats fetched successfully",
+        stats
+      )
+    );
 });
 /**
  * Get the videos of the user's subscriptions
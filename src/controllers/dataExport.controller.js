@@ -0,0 +1,85 @@
+import DataExport from "../models/dataExport.model.js";
+import {
+  asyncHandler,
+  ApiResponse,
+  ApiError,
+} from "../utils/index.js";
+import { processDataExports } from "../jobs/dataExport.job.js";
+import { isValidObjectId } from "mongoose";
+
+/**
+ * Request an export of all the data of the user
+ */
+export const requestDataExport = asyncHandler(async (req, res) => {
+  const inProgress = await DataExport.findOne({
+    user: req.user._id,
+    status: { $in: ["pending", "processing"] },
+  });
+
+  if (inProgress) {
+    throw new ApiError(
+      409,
+      "An export is already being prepared",
+      [],
+      {
+        exportId: inProgress._id,
+      }
+    );
+  }
+
+  const dataExport = await DataExport.create({ user: req.user._id });
+
+  // start right away instead of waiting for the next poll
+  processDataExports().catch((error) =>
+    console.error(`Error while processing data exports ${error}`)
+  );
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        "Export requested successfully",
+        dataExport
+      )
+    );
+});
+
+/**
+ * Get the status of an export, or the archive once it is ready
+ */
+export const getDataExport = asyncHandler(async (req, res) => {
+  const { exportId } = req.params;
+
+  if (!isValidObjectId(exportId)) {
+    throw new ApiError(400, "Invalid export id");
+  }
+
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    user: req.user._id,
+  }).select("+filePath");
+
+  if (!dataExport) {
+    throw new ApiError(404, "Export not found");
+  }
+
+  if (dataExport.status !== "ready") {
+    dataExport.filePath = undefined;
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          "Export fetched successfully",
+          dataExport
+        )
+      );
+  }
+
+  const fileName = `youtweet-export-${dataExport.completedAt
+    .toISOString()
+    .slice(0, 10)}.zip`;
+
+  return res.download(dataExport.filePath, fileName);
+});
@@ -4,11 +4,30 @@ import {
   asyncHandler,
   ApiResponse,
   ApiError,
+  likedVideosPipeline,
+  assertNotBlocked,
+  assertCanViewPrivate,
+  assertCanViewVideo,
+  viewableVideoIds,
 } from "../utils/index.js";
+import User from "../models/user.model.js";
 import Video from "../models/video.model.js";
 import Comment from "../models/comment.model.js";
 import Tweet from "../models/tweet.model.js";
 
+// videos that were hidden since they were liked are left out
+const findViewableLikedVideos = async (viewer, userId) => {
+  const likes = await Like.aggregate(likedVideosPipeline(userId));
+  const viewable = await viewableVideoIds(
+    viewer,
+    likes.map((like) => like.video._id)
+  );
+
+  return likes.filter((like) =>
+    viewable.has(like.video._id.toString())
+  );
+};
+
 /**
  * Toggle video like
  */
@@ -37,6 +56,14 @@ export const toggleVideoLike = asyncHandler(async (req, res) => {
       .json(new ApiResponse(200, "Video unliked successfully"));
   }
 
+  // unliking stays possible once the video is hidden
+  await assertCanViewVideo(req.user, video);
+  await assertNotBlocked(
+    req.user._id,
+    video.owner,
+    "You can not like this video"
+  );
+
   const newLike = await Like.create({
     video: videoId,
     likedBy: req.user._id,
@@ -83,6 +110,18 @@ export const toggleCommentLike = asyncHandler(async (req, res) => {
       .json(new ApiResponse(200, "Comment unliked successfully"));
   }
 
+  if (comment.video) {
+    await assertCanViewVideo(
+      req.user,
+      await Video.findById(comment.video)
+    );
+  }
+  await assertNotBlocked(
+    req.user._id,
+    comment.owner,
+    "You can not like this comment"
+  );
+
   const newLike = await Like.create({
     comment: commentId,
     likedBy: req.user._id,
@@ -129,6 +168,12 @@ export const toggleTweetLike = asyncHandler(async (req, res) => {
       .json(new ApiResponse(200, "Tweet unliked successfully"));
   }
 
+  await assertNotBlocked(
+    req.user._id,
+    tweet.owner,
+    "You can not like this tweet"
+  );
+
   const newLike = await Like.create({
     tweet: tweetId,
     likedBy: req.user._id,
@@ -147,70 +192,40 @@ export const toggleTweetLike = asyncHandler(async (req, res) => {
  * Get all the liked videos
  */
 export const getAllTheLikedVideos = asyncHandler(async (req, res) => {
-  const videos = await Like.aggregate([
-    {
-      $match: {
-        likedBy: new mongoose.Types.ObjectId(req.user._id),
-      },
-    },
-    {
-      $lookup: {
-        from: "videos",
-        localField: "video",
-        foreignField: "_id",
-        as: "videoDetails",
-        pipeline: [
-          {
-            $lookup: {
-              from: "users",
-              localField: "owner",
-              foreignField: "_id",
-              as: "ownerDetails",
-              pipeline: [
-                {
-                  $project: {
-                    username: 1,
-                    email: 1,
-                    fullName: 1,
-                    avatar: 1,
-                  },
-                },
-              ],
-            },
-          },
-          {
-            $unwind: "$ownerDetails",
-          },
-        ],
-      },
-    },
-    {
-      $unwind: "$videoDetails",
-    },
+  const videos = await findViewableLikedVideos(
+    req.user,
+    req.user._id
+  );
 
-    {
-      $project: {
-        video: {
-          _id: "$videoDetails._id",
-          videoFile: "$videoDetails.videoFile",
-          thumbnail: "$videoDetails.thumbnail",
-          title: "$videoDetails.title",
-          description: "$videoDetails.description",
-          duration: "$videoDetails.duration",
-          views: "$videoDetails.views",
-          isPublished: "$videoDetails.isPublished",
-          createdAt: "$videoDetails.createdAt",
-          updatedAt: "$videoDetails.updatedAt",
-          owner: "$videoDetails.ownerDetails",
-        },
-      },
-    },
-    {
-      $sort: {
-        "video.createdAt": -1,
-      },
-    },
-  ]);
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Success", videos));
+});
+
+/**
+ * Get the liked videos of another user, unless they hide them
+ */
+export const getUserLikedVideos = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const user = await User.findById(userId).select("privacy");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  assertCanViewPrivate(
+    req.user,
+    user,
+    "hideLikedVideos",
+    "Liked videos of this user are private"
+  );
+
+  const videos = await findViewableLikedVideos(req.user, user._id);
 
   return res
     .status(200)
@@ -0,0 +1,204 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
+import {
+  asyncHandler,
+  ApiResponse,
+  ApiError,
+  sendLoginResponse,
+  isUsernameReserved,
+} from "../utils/index.js";
+import {
+  getOidcProvider,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+} from "../utils/oidc.js";
+
+const STATE_COOKIE = "oauthState";
+
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  // lax so the cookie survives the redirect back from the provider
+  sameSite: "lax",
+  path: "/api/user/oauth",
+  maxAge: 10 * 60 * 1000,
+  secure: process.env.NODE_ENV === "production",
+});
+
+const isUsernameFree = async (username) =>
+  !(await User.exists({ username })) &&
+  !(await isUsernameReserved(username));
+
+const uniqueUsername = async (claims) => {
+  const base =
+    (claims.preferred_username || claims.email?.split("@")[0] || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9_.]/g, "")
+      .slice(0, 20) || "user";
+  const candidate = base.length >= 3 ? base : `${base}user`;
+
+  if (await isUsernameFree(candidate)) {
+    return candidate;
+  }
+
+  for (let i = 0; i < 5; i++) {
+    const suffixed = `${candidate}${crypto.randomInt(1000, 10000)}`;
+    if (await isUsernameFree(suffixed)) {
+      return suffixed;
+    }
+  }
+
+  throw new ApiError(409, "Could not pick a username, try again");
+};
+
+/**
+ * Find the account of a provider identity, link it to the account with
+ * the same verified email, or create a new account
+ */
+const findOrCreateOAuthUser = async (provider, claims) => {
+  const identity = { provider: provider.name, subject: claims.sub };
+
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: identity },
+  });
+
+  if (linkedUser) return linkedUser;
+
+  if (!claims.email) {
+    throw new ApiError(400, "Login provider did not share an email");
+  }
+
+  const emailVerified = claims.email_verified === true;
+  const existingUser = await User.findOne({ email: claims.email });
+
+  if (existingUser) {
+    // an unverified claim could be used to take over the account, and
+    // an unverified account could have been registered by someone else
+    // than the owner of the email, so only link when both are verified
+    if (!emailVerified || existingUser.emailVerified !== true) {
+      throw new ApiError(
+        409,
+        "An account with this email already exists, login with your password"
+      );
+    }
+
+    existingUser.identities.push({
+      ...identity,
+      email: claims.email,
+    });
+    await existingUser.save({ validateBeforeSave: false });
+    return existingUser;
+  }
+
+  const username = await uniqueUsername(claims);
+  const fullName = claims.name || username;
+
+  return User.create({
+    username,
+    fullName,
+    email: claims.email,
+    emailVerified,
+    emailVerifiedAt: emailVerified ? new Date() : undefined,
+    avatar:
+      claims.picture ||
+      `https://ui-avatars.com/api/?name=${encodeURIComponent(
+        fullName
+      )}`,
+    identities: [{ ...identity, email: claims.email }],
+  });
+};
+
+/**
+ * Redirect to the login page of the provider
+ */
+export const startOAuthLogin = asyncHandler(async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+
+  const state = crypto.randomBytes(16).toString("base64url");
+  const nonce = crypto.randomBytes(16).toString("base64url");
+  const { codeVerifier, codeChallenge } = createPkcePair();
+
+  const authorizationUrl = await buildAuthorizationUrl(provider, {
+    state,
+    nonce,
+    codeChallenge,
+  });
+
+  const stateToken = jwt.sign(
+    { provider: provider.name, state, nonce, codeVerifier },
+    process.env.OAUTH_STATE_SECRET,
+    { expiresIn: "10m" }
+  );
+
+  return res
+    .cookie(STATE_COOKIE, stateToken, stateCookieOptions())
+    .redirect(authorizationUrl);
+});
+
+/**
+ * Handle the redirect back from the provider and login the user
+ */
+export const completeOAuthLogin = asyncHandler(async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  const { code, state, error, error_description } = req.query;
+
+  res.clearCookie(STATE_COOKIE, stateCookieOptions());
+
+  if (error) {
+    throw new ApiError(
+      400,
+      error_description || `Login failed: ${error}`
+    );
+  }
+
+  if (!code || !state) {
+    throw new ApiError(400, "Missing authorization code");
+  }
+
+  let flow;
+  try {
+    flow = jwt.verify(
+      req.cookies?.[STATE_COOKIE],
+      process.env.OAUTH_STATE_SECRET
+    );
+  } catch (err) {
+    throw new ApiError(400, "Login session expired, try again");
+  }
+
+  if (flow.provider !== provider.name || flow.state !== state) {
+    throw new ApiError(400, "Invalid login state");
+  }
+
+  const tokens = await exchangeAuthorizationCode(provider, {
+    code,
+    codeVerifier: flow.codeVerifier,
+  });
+
+  if (!tokens.id_token) {
+    throw new ApiError(
+      502,
+      "Login provider did not return an id token"
+    );
+  }
+
+  const claims = await verifyIdToken(
+    provider,
+    tokens.id_token,
+    flow.nonce
+  );
+
+  const user = await findOrCreateOAuthUser(provider, claims);
+
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json(
+      new ApiResponse(200, "Two factor authentication required", {
+        twoFactorRequired: true,
+        challengeToken: user.generateTwoFactorChallengeToken(),
+      })
+    );
+  }
+
+  return sendLoginResponse(req, res, user);
+});
@@ -3,6 +3,9 @@ import {
   asyncHandler,
   ApiResponse,
   ApiError,
+  assertOwnerOrPermission,
+  assertCanViewVideo,
+  viewableVideoIds,
 } from "../utils/index.js";
 import Video from "../models/video.model.js";
 import { isValidObjectId } from "mongoose";
@@ -49,14 +52,31 @@ export const getUserPlaylists = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid user id");
   }
 
-  const playlists = await Playlist.find({ owner: userId }).populate(
-    "videos"
-  );
+  const found = await Playlist.find({ owner: userId })
+    .populate({
+      path: "videos",
+      select: "-videoFile -videoFileKey -renditions -sharedWith",
+    })
+    .lean();
 
-  if (!playlists) {
+  if (!found) {
     throw new ApiError(404, "Playlists not found");
   }
 
+  // videos that were hidden since they were added are left out
+  const viewable = await viewableVideoIds(
+    req.user,
+    found.flatMap((playlist) =>
+      playlist.videos.map((video) => video._id)
+    )
+  );
+  const playlists = found.map((playlist) => ({
+    ...playlist,
+    videos: playlist.videos.filter((video) =>
+      viewable.has(video._id.toString())
+    ),
+  }));
+
   return res
     .status(200)
     .json(
@@ -84,11 +104,14 @@ export const addVideoToPlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Playlist not found");
   }
 
-  const video = await Video.findById(videoId);
+  assertOwnerOrPermission(
+    req.user,
+    playlist.owner,
+    "playlists:moderate",
+    "You are not authorized to update this playlist"
+  );
 
-  if (!video) {
-    throw new ApiError(404, "Video not found");
-  }
+  await assertCanViewVideo(req.user, await Video.findById(videoId));
 
   if (playlist.videos.includes(videoId)) {
     throw new ApiError(400, "Video already exists in playlist");
@@ -125,13 +148,19 @@ export const removeVideoFromPlaylist = asyncHandler(
       throw new ApiError(404, "Playlist not found");
     }
 
-    const video = await Video.findById(videoId);
-
-    if (!video) {
-      throw new ApiError(404, "Video not found");
-    }
+    assertOwnerOrPermission(
+      req.user,
+      playlist.owner,
+      "playlists:moderate",
+      "You are not authorized to update this playlist"
+    );
 
+    // a video that was hidden since it was added can still be removed
     if (!playlist.videos.includes(videoId)) {
+      await assertCanViewVideo(
+        req.user,
+        await Video.findById(videoId)
+      );
       throw new ApiError(400, "Video does not exist in playlist");
     }
 
@@ -161,12 +190,21 @@ export const deletePlayList = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid playlist id");
   }
 
-  const playlist = await Playlist.findByIdAndDelete(playlistId);
+  const playlist = await Playlist.findById(playlistId);
 
   if (!playlist) {
     throw new ApiError(404, "Playlist not found");
   }
 
+  assertOwnerOrPermission(
+    req.user,
+    playlist.owner,
+    "playlists:moderate",
+    "You are not authorized to delete this playlist"
+  );
+
+  await Playlist.findByIdAndDelete(playlistId);
+
   return res
     .status(200)
     .json(new ApiResponse(200, "Playlist deleted successfully"));
@@ -188,21 +226,23 @@ export const updatePlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(400, "All fields are required");
   }
 
-  const updatedPlaylist = await Playlist.findByIdAndUpdate(
-    playlistId,
-    {
-      name,
-      description,
-    },
-    {
-      new: true,
-    }
-  );
+  const playlist = await Playlist.findById(playlistId);
 
-  if (!updatedPlaylist) {
-    throw new ApiError(404, "Playlist not updated");
+  if (!playlist) {
+    throw new ApiError(404, "Playlist not found");
   }
 
+  assertOwnerOrPermission(
+    req.user,
+    playlist.owner,
+    "playlists:moderate",
+    "You are not authorized to update this playlist"
+  );
+
+  playlist.name = name;
+  playlist.description = description;
+  const updatedPlaylist = await playlist.save();
+
   return res
     .status(200)
     .json(
@@ -0,0 +1,144 @@
+import Relationship from "../models/relationship.model.js";
+import Subscription from "../models/subscription.model.js";
+import User from "../models/user.model.js";
+import {
+  asyncHandler,
+  ApiResponse,
+  ApiError,
+} from "../utils/index.js";
+import { isValidObjectId } from "mongoose";
+
+const findTarget = async (req) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  if (userId === req.user._id.toString()) {
+    throw new ApiError(400, "You can not do this to yourself");
+  }
+
+  const target = await User.findById(userId).select("_id");
+
+  if (!target) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return target;
+};
+
+const addRelationship = async (req, type) => {
+  const target = await findTarget(req);
+
+  // upsert so repeating the request is harmless
+  await Relationship.updateOne(
+    { user: req.user._id, target: target._id, type },
+    {
+      $setOnInsert: { user: req.user._id, target: target._id, type },
+    },
+    { upsert: true }
+  );
+
+  return target;
+};
+
+const removeRelationship = async (req, type) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  await Relationship.deleteOne({
+    user: req.user._id,
+    target: userId,
+    type,
+  });
+};
+
+const listRelationships = (req, type) =>
+  Relationship.find({ user: req.user._id, type })
+    .sort({ createdAt: -1 })
+    .populate("target", "username fullName avatar");
+
+/**
+ * Block a user, this also ends subscriptions in both directions
+ */
+export const blockUser = asyncHandler(async (req, res) => {
+  const target = await addRelationship(req, "block");
+
+  await Subscription.deleteMany({
+    $or: [
+      { subscriber: req.user._id, channel: target._id },
+      { subscriber: target._id, channel: req.user._id },
+    ],
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "User blocked successfully"));
+});
+
+/**
+ * Unblock a user
+ */
+export const unblockUser = asyncHandler(async (req, res) => {
+  await removeRelationship(req, "block");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "User unblocked successfully"));
+});
+
+/**
+ * Get the users blocked by the user
+ */
+export const getBlockedUsers = asyncHandler(async (req, res) => {
+  const blocks = await listRelationships(req, "block");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "Blocked users fetched successfully",
+        blocks
+      )
+    );
+});
+
+/**
+ * Mute a user, their content is hidden without them knowing
+ */
+export const muteUser = asyncHandler(async (req, res) => {
+  await addRelationship(req, "mute");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "User muted successfully"));
+});
+
+/**
+ * Unmute a user
+ */
+export const unmuteUser = asyncHandler(async (req, res) => {
+  await removeRelationship(req, "mute");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "User unmuted successfully"));
+});
+
+/**
+ * Get the users muted by the user
+ */
+export const getMutedUsers = asyncHandler(async (req, res) => {
+  const mutes = await listRelationships(req, "mute");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, "Muted users fetched successfully", mutes)
+    );
+});
@@ -0,0 +1,604 @@
+import Video from "../models/video.model.js";
+import Tweet from "../models/tweet.model.js";
+import User from "../models/user.model.js";
+import Playlist from "../models/playlist.model.js";
+import SearchHistory from "../models/searchHistory.model.js";
+import SearchQuery from "../models/searchQuery.model.js";
+import SearchQuerySearcher from "../models/searchQuerySearcher.model.js";
+import {
+  asyncHandler,
+  ApiResponse,
+  ApiError,
+  getHiddenUserIds,
+  searchTerms,
+  highlightText,
+  escapeRegex,
+  normalizeTag,
+  hashToken,
+} from "../utils/index.js";
+import { isValidObjectId } from "mongoose";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LIMIT = 50;
+// merged results are ranked in memory, deeper pages need a type
+const MAX_MERGED_WINDOW = 500;
+
+const UPLOAD_DATES = {
+  hour: 60 * 60 * 1000,
+  today: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+  year: 365 * DAY_MS,
+};
+
+// in seconds, the buckets YouTube uses
+const DURATIONS = {
+  short: { $lt: 4 * 60 },
+  medium: { $gte: 4 * 60, $lte: 20 * 60 },
+  long: { $gt: 20 * 60 },
+};
+
+const SORTS = ["relevance", "date", "views"];
+
+const MAX_HISTORY = 100;
+// a query needs this many searchers before others get it suggested
+const MIN_SUGGESTED_QUERY_COUNT = 3;
+const SEARCHER_WINDOW_MS = DAY_MS;
+
+/**
+ * How each type is searched: the filter on top of $text, what gets
+ * returned and which fields are highlighted
+ */
+const SEARCHABLE = {
+  video: {
+    model: Video,
+    filter: ({ owner, since, duration }) => ({
+      ...Video.listedFilter(),
+      owner,
+      ...(since && { createdAt: { $gte: since } }),
+      ...(duration && { duration: DURATIONS[duration] }),
+    }),
+    select:
+      "title description thumbnail duration views tags category owner createdAt",
+    populate: [
+      { path: "owner", select: "username avatar" },
+      { path: "category", select: "name slug" },
+    ],
+    highlight: ["title", "description"],
+  },
+  tweet: {
+    model: Tweet,
+    filter: ({ owner, since }) => ({
+      owner,
+      ...(since && { createdAt: { $gte: since } }),
+    }),
+    select: "text owner createdAt",
+    populate: [{ path: "owner", select: "username avatar" }],
+    highlight: ["text"],
+  },
+  user: {
+    model: User,
+    filter: ({ owner }) => ({ _id: owner }),
+    select: "username fullName avatar coverImage createdAt",
+    populate: [],
+    highlight: ["username", "fullName"],
+  },
+  playlist: {
+    model: Playlist,
+    filter: ({ owner, since }) => ({
+      owner,
+      ...(since && { createdAt: { $gte: since } }),
+    }),
+    select: "name description owner videos createdAt",
+    populate: [{ path: "owner", select: "username avatar" }],
+    highlight: ["name", "description"],
+  },
+};
+
+const SEARCH_TYPES = Object.keys(SEARCHABLE);
+
+const sortFor = (sortBy) => {
+  if (sortBy === "date") return { createdAt: -1 };
+  if (sortBy === "views") return { views: -1 };
+  return { score: { $meta: "textScore" } };
+};
+
+// text scores of different collections do not compare, so merged
+// results are interleaved by their rank within their type, the best
+// score relative to the top one of its type going first on a tie
+const compareRanked = (sortBy) => (a, b) => {
+  if (sortBy === "date") {
+    return b.result.item.createdAt - a.result.item.createdAt;
+  }
+  return a.rank - b.rank || b.relevance - a.relevance;
+};
+
+const findChannel = async (channel) => {
+  const user = await User.findOne(
+    isValidObjectId(channel)
+      ? { _id: channel }
+      : { username: String(channel).toLowerCase() }
+  ).select("_id");
+
+  if (!user) {
+    throw new ApiError(404, "Channel not found");
+  }
+
+  return user._id;
+};
+
+const runSearch = async (
+  type,
+  text,
+  terms,
+  filters,
+  { sortBy, skip, limit }
+) => {
+  const { model, filter, select, populate, highlight } =
+    SEARCHABLE[type];
+  const query = { $text: { $search: text }, ...filter(filters) };
+
+  const [docs, total] = await Promise.all([
+    model
+      .find(query, { score: { $meta: "textScore" } })
+      .select(select)
+      .sort(sortFor(sortBy))
+      .skip(skip)
+      .limit(limit)
+      .populate(populate)
+      .lean(),
+    model.countDocuments(query),
+  ]);
+
+  const results = docs.map(({ score, ...item }) => ({
+    type,
+    score,
+    item,
+    highlights: Object.fromEntries(
+      highlight
+        .map((field) => [field, highlightText(item[field], terms)])
+        .filter(([, value]) => value)
+    ),
+  }));
+
+  return { results, total };
+};
+
+/**
+ * Count a searcher of the query towards the popular ones, once per
+ * window, so repeating a query does not make it suggested
+ */
+const countSearcher = async (query, searcherKey) => {
+  const windowStart =
+    Math.floor(Date.now() / SEARCHER_WINDOW_MS) * SEARCHER_WINDOW_MS;
+
+  try {
+    const { upsertedCount } = await SearchQuerySearcher.updateOne(
+      {
+        query,
+        searcherKey: hashToken(searcherKey),
+        windowStart: new Date(windowStart),
+      },
+      {
+        $setOnInsert: {
+          expiresAt: new Date(windowStart + SEARCHER_WINDOW_MS),
+        },
+      },
+      { upsert: true }
+    );
+
+    if (!upsertedCount) return;
+  } catch (error) {
+    // a racing request of the same searcher
+    if (error.code === 11000) return;
+    throw error;
+  }
+
+  await SearchQuery.updateOne(
+    { query },
+    { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Count the query towards the popular ones and add it to the history
+ * of the user, neither happens when they paused their history.
+ * Anonymous searches are not counted, anyone could otherwise put any
+ * text into the suggestions of everyone
+ */
+const recordSearch = async (user, query, hasResults) => {
+  if (!user || user.privacy?.pauseSearchHistory) return;
+
+  // queries without results would only suggest dead ends
+  if (hasResults) {
+    await countSearcher(query, `user:${user._id}`);
+  }
+
+  await SearchHistory.updateOne(
+    { user: user._id, query },
+    { $set: { searchedAt: new Date() } },
+    { upsert: true }
+  );
+
+  const stale = await SearchHistory.find({ user: user._id })
+    .sort({ searchedAt: -1 })
+    .skip(MAX_HISTORY)
+    .select("_id")
+    .lean();
+
+  if (stale.length) {
+    await SearchHistory.deleteMany({
+      _id: { $in: stale.map((entry) => entry._id) },
+    });
+  }
+};
+
+/**
+ * Search videos, tweets, channels and playlists at once
+ */
+export const search = asyncHandler(async (req, res) => {
+  const {
+    q,
+    type,
+    uploadDate,
+    duration,
+    channel,
+    sortBy = "relevance",
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const terms = searchTerms(q);
+
+  if (!terms.length) {
+    throw new ApiError(400, "Please add something to search for");
+  }
+
+  if (type && !SEARCH_TYPES.includes(type)) {
+    throw new ApiError(
+      400,
+      `type must be one of ${SEARCH_TYPES.join(", ")}`
+    );
+  }
+
+  if (uploadDate && !UPLOAD_DATES[uploadDate]) {
+    throw new ApiError(
+      400,
+      `uploadDate must be one of ${Object.keys(UPLOAD_DATES).join(
+        ", "
+      )}`
+    );
+  }
+
+  if (duration && !DURATIONS[duration]) {
+    throw new ApiError(
+      400,
+      `duration must be one of ${Object.keys(DURATIONS).join(", ")}`
+    );
+  }
+
+  if (!SORTS.includes(sortBy)) {
+    throw new ApiError(
+      400,
+      `sortBy must be one of ${SORTS.join(", ")}`
+    );
+  }
+
+  if (sortBy === "views" && type !== "video") {
+    throw new ApiError(400, "Only videos can be sorted by views");
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNumber = Math.min(
+    Math.max(parseInt(limit, 10) || 20, 1),
+    MAX_LIMIT
+  );
+
+  // filters that only some types have narrow the search to those
+  let types = type ? [type] : SEARCH_TYPES;
+  if (duration) types = types.filter((t) => t === "video");
+  if (uploadDate || channel)
+    types = types.filter((t) => t !== "user");
+
+  const hiddenUserIds = await getHiddenUserIds(req.user?._id);
+  const owner = { $nin: hiddenUserIds };
+
+  if (channel) {
+    owner.$eq = await findChannel(channel);
+  }
+
+  const filters = {
+    owner,
+    since: uploadDate
+      ? new Date(Date.now() - UPLOAD_DATES[uploadDate])
+      : undefined,
+    duration,
+  };
+  const text = terms.join(" ");
+
+  let results = [];
+  const counts = {};
+
+  if (types.length === 1) {
+    const { results: found, total } = await runSearch(
+      types[0],
+      text,
+      terms,
+      filters,
+      {
+        sortBy,
+        skip: (pageNumber - 1) * limitNumber,
+        limit: limitNumber,
+      }
+    );
+    results = found;
+    counts[types[0]] = total;
+  } else {
+    const window = pageNumber * limitNumber;
+
+    if (window > MAX_MERGED_WINDOW) {
+      throw new ApiError(
+        400,
+        "Pick a type to page further through the results"
+      );
+    }
+
+    const ranked = [];
+    for (const searchType of types) {
+      const { results: found, total } = await runSearch(
+        searchType,
+        text,
+        terms,
+        filters,
+        { sortBy, skip: 0, limit: window }
+      );
+      const topScore = found[0]?.score || 1;
+      ranked.push(
+        ...found.map((result, rank) => ({
+          result,
+          rank,
+          relevance: result.score / topScore,
+        }))
+      );
+      counts[searchType] = total;
+    }
+
+    results = ranked
+      .sort(compareRanked(sortBy))
+      .slice((pageNumber - 1) * limitNumber, window)
+      .map(({ result }) => result);
+  }
+
+  const totalResults = Object.values(counts).reduce(
+    (sum, count) => sum + count,
+    0
+  );
+
+  // paging through the same search is not a new search
+  if (pageNumber === 1) {
+    await recordSearch(req.user, text, totalResults > 0).catch(
+      (error) =>
+        console.error(`Error while recording search ${error}`)
+    );
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, "Search results fetched", {
+      query: text,
+      results,
+      counts,
+      totalResults,
+      totalPages: Math.ceil(totalResults / limitNumber),
+      currentPage: pageNumber,
+    })
+  );
+});
+
+/**
+ * Complete what the user is typing from their history, popular
+ * queries, channels, tags and video titles
+ */
+export const suggest = asyncHandler(async (req, res) => {
+  const { q, limit = 10 } = req.query;
+
+  const prefix = String(q ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .slice(0, 100);
+  const limitNumber = Math.min(
+    Math.max(parseInt(limit, 10) || 10, 1),
+    20
+  );
+
+  if (!prefix) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Suggestions fetched", []));
+  }
+
+  const pattern = `^${escapeRegex(prefix)}`;
+  const tagPrefix = normalizeTag(prefix);
+  const tagPattern = `^${escapeRegex(tagPrefix)}`;
+  const hiddenUserIds = await getHiddenUserIds(req.user?._id);
+
+  const [history, queries, channels, tags, videos] =
+    await Promise.all([
+      req.user
+        ? SearchHistory.find({
+            user: req.user._id,
+            query: { $regex: pattern },
+          })
+            .sort({ searchedAt: -1 })
+            .limit(limitNumber)
+            .lean()
+        : [],
+      SearchQuery.find({
+        query: { $regex: pattern },
+        count: { $gte: MIN_SUGGESTED_QUERY_COUNT },
+      })
+        .sort({ count: -1 })
+        .limit(limitNumber)
+        .lean(),
+      User.find({
+        username: { $regex: pattern },
+        _id: { $nin: hiddenUserIds },
+      })
+        .select("username avatar")
+        .limit(limitNumber)
+        .lean(),
+      tagPrefix
+        ? Video.aggregate([
+            {
+              $match: {
+                ...Video.listedFilter(),
+                tags: { $regex: tagPattern },
+              },
+            },
+            { $unwind: "$tags" },
+            { $match: { tags: { $regex: tagPattern } } },
+            { $group: { _id: "$tags", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: limitNumber },
+          ])
+        : [],
+      Video.find({
+        ...Video.listedFilter(),
+        owner: { $nin: hiddenUserIds },
+        title: { $regex: pattern, $options: "i" },
+      })
+        .sort({ views: -1 })
+        .select("title")
+        .limit(limitNumber)
+        .lean(),
+    ]);
+
+  const suggestions = [];
+  const seen = new Set();
+
+  const add = (text, type, details = {}) => {
+    const key = text.toLowerCase();
+    if (seen.has(key)) return;
+
+    seen.add(key);
+    suggestions.push({ text, type, ...details });
+  };
+
+  history.forEach((entry) => add(entry.query, "history"));
+  queries.forEach((entry) => add(entry.query, "query"));
+  channels.forEach((user) =>
+    add(user.username, "channel", {
+      userId: user._id,
+      avatar: user.avatar,
+    })
+  );
+  tags.forEach((tag) => add(tag._id, "tag", { count: tag.count }));
+  videos.forEach((video) =>
+    add(video.title, "video", { videoId: video._id })
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "Suggestions fetched",
+        suggestions.slice(0, limitNumber)
+      )
+    );
+});
+
+/**
+ * Get the search history of the user, newest first
+ */
+export const getSearchHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNumber = Math.min(
+    Math.max(parseInt(limit, 10) || 20, 1),
+    MAX_LIMIT
+  );
+
+  const [history, total] = await Promise.all([
+    SearchHistory.find({ user: req.user._id })
+      .sort({ searchedAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber),
+    SearchHistory.countDocuments({ user: req.user._id }),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(200, "Search history fetched", {
+      paused: Boolean(req.user.privacy?.pauseSearchHistory),
+      history,
+      totalEntries: total,
+      totalPages: Math.ceil(total / limitNumber),
+      currentPage: pageNumber,
+    })
+  );
+});
+
+/**
+ * Remove one search from the history
+ */
+export const deleteSearchHistoryEntry = asyncHandler(
+  async (req, res) => {
+    const { entryId } = req.params;
+
+    if (!isValidObjectId(entryId)) {
+      throw new ApiError(400, "Invalid search history id");
+    }
+
+    const { deletedCount } = await SearchHistory.deleteOne({
+      _id: entryId,
+      user: req.user._id,
+    });
+
+    if (!deletedCount) {
+      throw new ApiError(404, "Search history entry not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Search removed from history"));
+  }
+);
+
+/**
+ * Remove every search from the history
+ */
+export const clearSearchHistory = asyncHandler(async (req, res) => {
+  await SearchHistory.deleteMany({ user: req.user._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Search history cleared"));
+});
+
+/**
+ * Stop or resume adding searches to the history
+ */
+export const pauseSearchHistory = asyncHandler(async (req, res) => {
+  const { paused } = req.body;
+
+  if (typeof paused !== "boolean") {
+    throw new ApiError(400, "paused must be true or false");
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { "privacy.pauseSearchHistory": paused } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        paused ? "Search history paused" : "Search history resumed",
+        { paused }
+      )
+    );
+});
@@ -0,0 +1,27 @@
+import SecurityEvent from "../models/securityEvent.model.js";
+import { asyncHandler, ApiResponse } from "../utils/index.js";
+
+/**
+ * Get the security events recorded for the user
+ */
+export const getMySecurityEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNumber = Math.min(parseInt(limit, 10) || 20, 100);
+
+  const events = await SecurityEvent.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .skip((pageNumber - 1) * limitNumber)
+    .limit(limitNumber);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "Security events fetched successfully",
+        events
+      )
+    );
+});
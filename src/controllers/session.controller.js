@@ -0,0 +1,77 @@
+import Session from "../models/session.model.js";
+import {
+  asyncHandler,
+  ApiResponse,
+  ApiError,
+  revokeUserSessions,
+} from "../utils/index.js";
+import { isValidObjectId } from "mongoose";
+
+/**
+ * Get the active sessions of the user
+ */
+export const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  const result = sessions.map((session) => ({
+    _id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    isCurrent: session._id.toString() === req.sessionId?.toString(),
+  }));
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, "Sessions fetched successfully", result)
+    );
+});
+
+/**
+ * Revoke one session of the user
+ */
+export const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "Invalid session id");
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: req.user._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!session) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Session revoked successfully"));
+});
+
+/**
+ * Revoke every session of the user except the current one
+ */
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeUserSessions(
+    req.user._id,
+    req.sessionId
+  );
+
+  return res.status(200).json(
+    new ApiResponse(200, "Logged out from other devices", {
+      revokedCount,
+    })
+  );
+});
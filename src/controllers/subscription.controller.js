@@ -1,8 +1,12 @@
 import Subscription from "../models/subscription.model.js";
+import User from "../models/user.model.js";
 import {
   asyncHandler,
   ApiResponse,
   ApiError,
+  assertNotBlocked,
+  getHiddenUserIds,
+  assertCanViewPrivate,
 } from "../utils/index.js";
 import { isValidObjectId, mongoose } from "mongoose";
 
@@ -23,18 +27,41 @@ export const toggleSubscription = asyncHandler(async (req, res) => {
     channel: channelId,
   });
 
-  // Unsubscribe if user is already subscribed
+  // Unsubscribe, or cancel the request, if one already exists
   if (subscription) {
     await Subscription.findByIdAndDelete(subscription._id);
     return res
       .status(200)
-      .json(new ApiResponse(200, "Unsubscribed successfully", false));
+      .json(
+        new ApiResponse(
+          200,
+          subscription.status === "pending"
+            ? "Subscription request cancelled"
+            : "Unsubscribed successfully",
+          false
+        )
+      );
+  }
+
+  const channel = await User.findById(channelId).select("privacy");
+
+  if (!channel) {
+    throw new ApiError(404, "Channel not found");
   }
 
-  // Subscribe to the channel if user is not already subscribed
+  await assertNotBlocked(
+    req.user._id,
+    channelId,
+    "You can not subscribe to this channel"
+  );
+
+  // Subscribe to the channel if user is not already subscribed,
+  // private channels have to approve the request first
+  const isPrivate = Boolean(channel.privacy?.privateChannel);
   const newSubscription = await Subscription.create({
     subscriber: req.user._id,
     channel: channelId,
+    status: isPrivate ? "pending" : "active",
   });
 
   return res
@@ -42,7 +69,9 @@ export const toggleSubscription = asyncHandler(async (req, res) => {
     .json(
       new ApiResponse(
         200,
-        "Subscribed successfully",
+        isPrivate
+          ? "Subscription request sent"
+          : "Subscribed successfully",
         newSubscription,
         true
       )
@@ -61,11 +90,28 @@ export const getUserChannelSubscribers = asyncHandler(
       throw new ApiError(400, "Invalid channel id");
     }
 
+    const channel = await User.findById(channelId).select("privacy");
+
+    if (!channel) {
+      throw new ApiError(404, "Channel not found");
+    }
+
+    assertCanViewPrivate(
+      req.user,
+      channel,
+      "hideSubscribers",
+      "Subscribers of this channel are private"
+    );
+
+    const hiddenUserIds = await getHiddenUserIds(req.user?._id);
+
     // Fetch subscribers of the channel
     const subscribersAggregate = await Subscription.aggregate([
       {
         $match: {
           channel: new mongoose.Types.ObjectId(channelId),
+          subscriber: { $nin: hiddenUserIds },
+          status: { $ne: "pending" },
         },
       },
       {
@@ -124,11 +170,27 @@ export const getSubscribedChannels = asyncHandler(
       throw new ApiError(400, "Invalid subscriber id");
     }
 
+    const subscriber = await User.findById(subscriberId).select(
+      "privacy"
+    );
+
+    if (!subscriber) {
+      throw new ApiError(404, "User not found");
+    }
+
+    assertCanViewPrivate(
+      req.user,
+      subscriber,
+      "hideSubscriptions",
+      "Subscriptions of this user are private"
+    );
+
     // Fetch channels subscribed by the user
     const subscribedChannelsAggregate = await Subscription.aggregate([
       {
         $match: {
           subscriber: new mongoose.Types.ObjectId(subscriberId),
+          status: { $ne: "pending" },
         },
       },
       {
@@ -176,3 +238,91 @@ export const getSubscribedChannels = asyncHandler(
       );
   }
 );
+
+/**
+ * Get the pending subscription requests of the user's channel
+ */
+export const getSubscriptionRequests = asyncHandler(
+  async (req, res) => {
+    const requests = await Subscription.find({
+      channel: req.user._id,
+      status: "pending",
+    })
+      .sort({ createdAt: -1 })
+      .populate("subscriber", "username fullName avatar");
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          "Subscription requests fetched",
+          requests
+        )
+      );
+  }
+);
+
+/**
+ * Approve a pending subscription request
+ */
+export const approveSubscriptionRequest = asyncHandler(
+  async (req, res) => {
+    const { subscriptionId } = req.params;
+
+    if (!isValidObjectId(subscriptionId)) {
+      throw new ApiError(400, "Invalid subscription id");
+    }
+
+    const subscription = await Subscription.findOneAndUpdate(
+      {
+        _id: subscriptionId,
+        channel: req.user._id,
+        status: "pending",
+      },
+      { $set: { status: "active" } },
+      { new: true }
+    );
+
+    if (!subscription) {
+      throw new ApiError(404, "Subscription request not found");
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          "Subscription request approved",
+          subscription
+        )
+      );
+  }
+);
+
+/**
+ * Deny a pending subscription request
+ */
+export const denySubscriptionRequest = asyncHandler(
+  async (req, res) => {
+    const { subscriptionId } = req.params;
+
+    if (!isValidObjectId(subscriptionId)) {
+      throw new ApiError(400, "Invalid subscription id");
+    }
+
+    const subscription = await Subscription.findOneAndDelete({
+      _id: subscriptionId,
+      channel: req.user._id,
+      status: "pending",
+    });
+
+    if (!subscription) {
+      throw new ApiError(404, "Subscription request not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Subscription request denied"));
+  }
+);
@@ -3,6 +3,8 @@ import {
   asyncHandler,
   ApiResponse,
   ApiError,
+  assertOwnerOrPermission,
+  getHiddenUserIds,
 } from "../utils/index.js";
 import { isValidObjectId } from "mongoose";
 import User from "../models/user.model.js";
@@ -76,24 +78,22 @@ export const updateTweet = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Please provide text");
   }
 
-  const updatedTweet = await Tweet.findOneAndUpdate(
-    { _id: tweetId, owner: req.user._id },
-    { text },
-    { new: true }
-  );
+  const tweet = await Tweet.findById(tweetId);
 
-  if (!updatedTweet) {
-    const tweetExists = await Tweet.findById(tweetId);
-    if (tweetExists) {
-      throw new ApiError(
-        403,
-        "You are not authorized to update this tweet"
-      );
-    } else {
-      throw new ApiError(404, "Tweet not found");
-    }
+  if (!tweet) {
+    throw new ApiError(404, "Tweet not found");
   }
 
+  assertOwnerOrPermission(
+    req.user,
+    tweet.owner,
+    "tweets:moderate",
+    "You are not authorized to update this tweet"
+  );
+
+  tweet.text = text;
+  const updatedTweet = await tweet.save();
+
   return res
     .status(200)
     .json(
@@ -111,15 +111,21 @@ export const deleteTweet = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid tweet id");
   }
 
-  const deletedTweet = await Tweet.findByIdAndDelete({
-    _id: tweetId,
-    owner: req.user._id,
-  });
+  const tweet = await Tweet.findById(tweetId);
 
-  if (!deletedTweet) {
-    throw new ApiError(404, "Tweet not deleted");
+  if (!tweet) {
+    throw new ApiError(404, "Tweet not found");
   }
 
+  assertOwnerOrPermission(
+    req.user,
+    tweet.owner,
+    "tweets:moderate",
+    "You are not authorized to delete this tweet"
+  );
+
+  await Tweet.findByIdAndDelete(tweetId);
+
   return res
     .status(200)
     .json(new ApiResponse(200, "Tweet deleted successfully"));
@@ -129,10 +135,11 @@ export const deleteTweet = asyncHandler(async (req, res) => {
  * Get all tweets
  */
 export const getAllTweets = asyncHandler(async (req, res) => {
-  const tweets = await Tweet.find().populate("owner", [
-    "username",
-    "avatar",
-  ]);
+  const hiddenUserIds = await getHiddenUserIds(req.user?._id);
+
+  const tweets = await Tweet.find({
+    owner: { $nin: hiddenUserIds },
+  }).populate("owner", ["username", "avatar"]);
 
   return res
     .status(200)
@@ -0,0 +1,303 @@
+import User from "../models/user.model.js";
+import {
+  asyncHandler,
+  ApiResponse,
+  ApiError,
+  hashToken,
+  sendLoginResponse,
+  recordSecurityEvent,
+  twoFactorLimiter,
+} from "../utils/index.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+} from "../utils/totp.js";
+import jwt from "jsonwebtoken";
+
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+/**
+ * Check a TOTP or recovery code and burn it so it can't be replayed
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    if (typeof recoveryCode !== "string") {
+      throw new ApiError(400, "recoveryCode must be a string");
+    }
+
+    const hashedCode = hashToken(recoveryCode.trim().toLowerCase());
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hashedCode },
+      { $pull: { "twoFactor.recoveryCodes": hashedCode } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null) return false;
+
+  // a code is valid for its whole time step, only accept it once
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": { $lt: step } },
+        { "twoFactor.lastUsedStep": { $exists: false } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Start two factor enrollment
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(
+      400,
+      "Two factor authentication already enabled"
+    );
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUri = buildOtpAuthUri(
+    secret,
+    user.email,
+    process.env.TWO_FACTOR_ISSUER || "YouTweet"
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      "Scan the code with your authenticator app",
+      {
+        secret,
+        otpauthUri,
+      }
+    )
+  );
+});
+
+/**
+ * Confirm enrollment with a first code and enable two factor
+ */
+export const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new ApiError(400, "Code is required");
+  }
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.pendingSecret"
+  );
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(
+      400,
+      "Two factor authentication already enabled"
+    );
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new ApiError(400, "Start two factor setup first");
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+
+  if (step === null) {
+    throw new ApiError(400, "Invalid code");
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+  user.twoFactor.lastUsedStep = step;
+  await user.save({ validateBeforeSave: false });
+
+  await recordSecurityEvent(user._id, "2fa-enabled", req);
+
+  return res.status(200).json(
+    new ApiResponse(200, "Two factor authentication enabled", {
+      recoveryCodes,
+    })
+  );
+});
+
+/**
+ * Disable two factor, needs the password and a second factor
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    throw new ApiError(400, "All fields are required");
+  }
+
+  const user = await User.findById(req.user._id).select(
+    TWO_FACTOR_FIELDS
+  );
+
+  // accounts from a login provider have no password to confirm
+  if (user.password && !password) {
+    throw new ApiError(400, "All fields are required");
+  }
+
+  if (!user.twoFactor?.enabled) {
+    throw new ApiError(
+      400,
+      "Two factor authentication is not enabled"
+    );
+  }
+
+  const isPasswordCorrect =
+    !user.password || (await user.isPasswordMatched(password));
+
+  if (
+    !isPasswordCorrect ||
+    !(await consumeSecondFactor(user, { code, recoveryCode }))
+  ) {
+    throw new ApiError(400, "Invalid credentials");
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.enabledAt": 1,
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodes": 1,
+        "twoFactor.lastUsedStep": 1,
+      },
+    }
+  );
+
+  await recordSecurityEvent(user._id, "2fa-disabled", req);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Two factor authentication disabled"));
+});
+
+/**
+ * Replace the recovery codes with a fresh set
+ */
+export const regenerateRecoveryCodes = asyncHandler(
+  async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+      throw new ApiError(400, "Code is required");
+    }
+
+    const user = await User.findById(req.user._id).select(
+      TWO_FACTOR_FIELDS
+    );
+
+    if (!user.twoFactor?.enabled) {
+      throw new ApiError(
+        400,
+        "Two factor authentication is not enabled"
+      );
+    }
+
+    if (!(await consumeSecondFactor(user, { code }))) {
+      throw new ApiError(400, "Invalid code");
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.recoveryCodes": recoveryCodes.map(hashToken),
+        },
+      }
+    );
+
+    return res.status(200).json(
+      new ApiResponse(200, "Recovery codes regenerated", {
+        recoveryCodes,
+      })
+    );
+  }
+);
+
+/**
+ * Finish a login that was paused for the second factor
+ */
+export const loginWithTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    throw new ApiError(400, "All fields are required");
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(
+      challengeToken,
+      process.env.TWO_FACTOR_CHALLENGE_SECRET
+    );
+  } catch (error) {
+    throw new ApiError(401, "Login challenge expired, login again");
+  }
+
+  if (decoded.purpose !== "2fa-challenge") {
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  const user = await User.findById(decoded._id).select(
+    TWO_FACTOR_FIELDS
+  );
+
+  if (!user || !user.twoFactor?.enabled) {
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  const limiterKey = user._id.toString();
+  const status = await twoFactorLimiter.check(limiterKey);
+
+  if (status.locked) {
+    res.set("Retry-After", `${status.retryAfter}`);
+    throw new ApiError(429, "Too many attempts, try again later");
+  }
+
+  if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+    const result = await twoFactorLimiter.fail(limiterKey);
+    if (result.locked) {
+      await recordSecurityEvent(user._id, "2fa-locked", req, {
+        lockedUntil: result.lockedUntil,
+      });
+    }
+    throw new ApiError(400, "Invalid code");
+  }
+
+  await twoFactorLimiter.succeed(limiterKey);
+
+  if (recoveryCode) {
+    await recordSecurityEvent(
+      user._id,
+      "2fa-recovery-code-used",
+      req
+    );
+  }
+
+  return sendLoginResponse(req, res, user);
+});
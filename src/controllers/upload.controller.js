@@ -0,0 +1,497 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import UploadSession from "../models/uploadSession.model.js";
+import Video from "../models/video.model.js";
+import {
+  asyncHandler,
+  ApiResponse,
+  ApiError,
+  storeFile,
+  removeStoredFile,
+  moveFile,
+  parsePublishAt,
+  VIDEO_VISIBILITIES,
+  normalizeTags,
+  findActiveCategory,
+} from "../utils/index.js";
+import {
+  uploadDir,
+  uploadPartPath,
+} from "../jobs/uploadCleanup.job.js";
+import { triggerJob } from "../jobs/index.js";
+import {
+  queueVideoSource,
+  processingSourcePath,
+} from "../jobs/videoProcessing.job.js";
+import mongoose, { isValidObjectId } from "mongoose";
+
+const HOUR_MS = 60 * 60 * 1000;
+const LOCK_MS = 10 * 60 * 1000;
+const MAX_CHUNK_BYTES = 64 * 1024 * 1024;
+const MAX_ACTIVE_UPLOADS = 5;
+
+const maxUploadBytes = () =>
+  Number(process.env.MAX_UPLOAD_BYTES) || 5 * 1024 * 1024 * 1024;
+
+const expiresAtFromNow = () =>
+  new Date(
+    Date.now() +
+      (Number(process.env.UPLOAD_EXPIRY_HOURS) || 24) * HOUR_MS
+  );
+
+const setUploadHeaders = (res, session) =>
+  res.set({
+    "Upload-Offset": String(session.offset),
+    "Upload-Length": String(session.size),
+    "Upload-Expires": session.expiresAt.toUTCString(),
+    "Cache-Control": "no-store",
+  });
+
+const findUploadSession = async (req) => {
+  const { uploadId } = req.params;
+
+  if (!isValidObjectId(uploadId)) {
+    throw new ApiError(400, "Invalid upload id");
+  }
+
+  const session = await UploadSession.findOne({
+    _id: uploadId,
+    user: req.user._id,
+  });
+
+  if (!session || session.expiresAt <= new Date()) {
+    throw new ApiError(404, "Upload not found");
+  }
+
+  return session;
+};
+
+// only one request at a time may touch the bytes of an upload
+const lockUploadSession = (session, filter = {}) =>
+  UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      status: "uploading",
+      $or: [
+        { lockedUntil: null },
+        { lockedUntil: { $lte: new Date() } },
+      ],
+      ...filter,
+    },
+    { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } },
+    { new: true }
+  );
+
+/**
+ * Parse an Upload-Checksum header, "sha256 <base64 digest>"
+ */
+const parseChecksumHeader = (header) => {
+  if (!header) return null;
+
+  const [algorithm, digest] = header.trim().split(/\s+/);
+
+  if (algorithm !== "sha256" || !digest) {
+    throw new ApiError(400, "Upload-Checksum must use sha256");
+  }
+  return digest;
+};
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+};
+
+// "key base64value,key2 base64value2" of the tus creation extension
+const parseUploadMetadata = (header) =>
+  Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((pair) => pair.trim().split(" "))
+      .filter(([key]) => key)
+      .map(([key, value]) => [
+        key,
+        value ? Buffer.from(value, "base64").toString("utf8") : "",
+      ])
+  );
+
+/**
+ * Start a resumable upload, the flow follows the tus protocol: PATCH
+ * chunks at the reported offset, HEAD to learn where to resume. Tus
+ * clients send the size and file details as headers instead of a body
+ */
+export const createUpload = asyncHandler(async (req, res) => {
+  const metadata = parseUploadMetadata(req.header("Upload-Metadata"));
+  const {
+    filename = metadata.filename,
+    size = req.header("Upload-Length"),
+    mimeType = metadata.filetype,
+    checksum = metadata.checksum,
+  } = req.body || {};
+
+  if (!filename?.trim() || !mimeType) {
+    throw new ApiError(400, "filename and mimeType are required");
+  }
+
+  if (!String(mimeType).startsWith("video/")) {
+    throw new ApiError(400, "Only video files can be uploaded");
+  }
+
+  const totalSize = Number(size);
+  if (!Number.isInteger(totalSize) || totalSize <= 0) {
+    throw new ApiError(
+      400,
+      "size must be a positive number of bytes"
+    );
+  }
+
+  if (totalSize > maxUploadBytes()) {
+    throw new ApiError(
+      413,
+      `Files can be at most ${maxUploadBytes()} bytes`
+    );
+  }
+
+  if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+    throw new ApiError(400, "checksum must be a hex encoded sha256");
+  }
+
+  const activeUploads = await UploadSession.countDocuments({
+    user: req.user._id,
+    status: { $ne: "completed" },
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (activeUploads >= MAX_ACTIVE_UPLOADS) {
+    throw new ApiError(
+      429,
+      `You can have at most ${MAX_ACTIVE_UPLOADS} uploads in progress`
+    );
+  }
+
+  const session = await UploadSession.create({
+    user: req.user._id,
+    filename: path.basename(filename.trim()),
+    mimeType,
+    size: totalSize,
+    checksum: checksum?.toLowerCase(),
+    expiresAt: expiresAtFromNow(),
+  });
+
+  await fs.promises.mkdir(uploadDir(), { recursive: true });
+  await fs.promises.writeFile(uploadPartPath(session._id), "");
+
+  setUploadHeaders(res, session);
+  return res
+    .status(201)
+    .location(`${req.baseUrl}/${session._id}`)
+    .json(new ApiResponse(201, "Upload created", session));
+});
+
+/**
+ * Report how far an upload got, in headers only
+ */
+export const getUploadOffset = asyncHandler(async (req, res) => {
+  const session = await findUploadSession(req);
+
+  setUploadHeaders(res, session);
+  return res.status(200).end();
+});
+
+/**
+ * Get the status of an upload
+ */
+export const getUpload = asyncHandler(async (req, res) => {
+  const session = await findUploadSession(req);
+
+  setUploadHeaders(res, session);
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Upload fetched", session));
+});
+
+/**
+ * Append a chunk at the offset given in Upload-Offset
+ */
+export const uploadChunk = asyncHandler(async (req, res) => {
+  if (!req.is("application/offset+octet-stream")) {
+    throw new ApiError(
+      415,
+      "Content-Type must be application/offset+octet-stream"
+    );
+  }
+
+  const offset = Number(req.header("Upload-Offset"));
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ApiError(400, "Upload-Offset header is required");
+  }
+
+  const expectedDigest = parseChecksumHeader(
+    req.header("Upload-Checksum")
+  );
+
+  const session = await findUploadSession(req);
+  const locked = await lockUploadSession(session, { offset });
+
+  if (!locked) {
+    setUploadHeaders(res, session);
+    throw new ApiError(
+      409,
+      session.offset !== offset
+        ? `Upload-Offset must be ${session.offset}`
+        : "The upload is busy or already finished"
+    );
+  }
+
+  const partPath = uploadPartPath(session._id);
+  const maxBytes = Math.min(MAX_CHUNK_BYTES, session.size - offset);
+  const writer = fs.createWriteStream(partPath, {
+    flags: "r+",
+    start: offset,
+  });
+  const hash = crypto.createHash("sha256");
+  let received = 0;
+
+  const meter = new Transform({
+    transform(data, encoding, callback) {
+      received += data.length;
+      if (received > maxBytes) {
+        return callback(
+          new ApiError(413, "Chunk is larger than the upload allows")
+        );
+      }
+      hash.update(data);
+      callback(null, data);
+    },
+  });
+
+  try {
+    // a crash after a write can leave bytes past the recorded offset
+    await fs.promises.truncate(partPath, offset);
+    await pipeline(req, meter, writer);
+
+    if (expectedDigest && hash.digest("base64") !== expectedDigest) {
+      throw new ApiError(460, "Checksum mismatch");
+    }
+
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, offset },
+      {
+        $set: {
+          offset: offset + received,
+          expiresAt: expiresAtFromNow(),
+        },
+        $unset: { lockedUntil: 1 },
+      },
+      { new: true }
+    );
+
+    setUploadHeaders(res, updated);
+    return res.status(204).end();
+  } catch (error) {
+    // wait for the writes in flight before looking at the file
+    if (!writer.closed) {
+      const closed = new Promise((resolve) =>
+        writer.once("close", resolve)
+      );
+      writer.destroy();
+      await closed;
+    }
+
+    // a dropped connection keeps what arrived so the client resumes
+    // from there, a rejected or unverifiable chunk is thrown away
+    let kept = 0;
+    if (!(error instanceof ApiError) && !expectedDigest) {
+      const { size } = await fs.promises
+        .stat(partPath)
+        .catch(() => ({ size: offset }));
+      kept = Math.min(Math.max(size - offset, 0), maxBytes);
+    }
+
+    await fs.promises
+      .truncate(partPath, offset + kept)
+      .catch(() => {});
+    const released = await UploadSession.findOneAndUpdate(
+      { _id: session._id, offset },
+      {
+        $set: {
+          offset: offset + kept,
+          ...(kept && { expiresAt: expiresAtFromNow() }),
+        },
+        $unset: { lockedUntil: 1 },
+      },
+      { new: true }
+    );
+    if (released) setUploadHeaders(res, released);
+
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(400, "The chunk could not be received");
+  }
+});
+
+/**
+ * Turn a complete upload into an unpublished video and queue it for
+ * processing, a publishAt schedules it to go public later
+ */
+export const finalizeUpload = asyncHandler(async (req, res) => {
+  const { title, description, visibility = "public" } = req.body;
+  const thumbnailFile = req.files?.thumbnail?.[0];
+
+  const discardThumbnail = async () => {
+    if (thumbnailFile) {
+      await fs.promises.rm(thumbnailFile.path, { force: true });
+    }
+  };
+
+  if (!title || !description) {
+    await discardThumbnail();
+    throw new ApiError(400, "title and description are required");
+  }
+
+  if (!VIDEO_VISIBILITIES.includes(visibility)) {
+    await discardThumbnail();
+    throw new ApiError(
+      400,
+      `visibility must be one of ${VIDEO_VISIBILITIES.join(", ")}`
+    );
+  }
+
+  let publishAt, tags, category;
+  try {
+    publishAt = parsePublishAt(req.body.publishAt);
+    tags = normalizeTags(req.body.tags);
+    category = await findActiveCategory(req.body.category);
+  } catch (error) {
+    await discardThumbnail();
+    throw error;
+  }
+
+  const session = await findUploadSession(req);
+  const locked = await lockUploadSession(session, {
+    $expr: { $eq: ["$offset", "$size"] },
+  });
+
+  if (!locked) {
+    await discardThumbnail();
+    throw new ApiError(
+      409,
+      session.status === "completed"
+        ? "The upload is already finalized"
+        : `The upload is incomplete, ${session.offset} of ${session.size} bytes received`
+    );
+  }
+
+  await UploadSession.updateOne(
+    { _id: session._id },
+    { $set: { status: "finalizing" } }
+  );
+
+  const partPath = uploadPartPath(session._id);
+
+  let discarded = false;
+  let thumbnail = null;
+  let sourceFile = null;
+  let video;
+
+  try {
+    if (
+      session.checksum &&
+      (await hashFile(partPath)) !== session.checksum
+    ) {
+      // the bytes are useless, the client has to start over
+      discarded = true;
+      await discardThumbnail();
+      await fs.promises.rm(partPath, { force: true });
+      await UploadSession.deleteOne({ _id: session._id });
+      throw new ApiError(460, "Checksum mismatch");
+    }
+
+    // a thumbnail is generated from the video when none is given
+    thumbnail = thumbnailFile
+      ? await storeFile(thumbnailFile.path)
+      : null;
+
+    if (thumbnailFile && !thumbnail?.url) {
+      throw new ApiError(400, "Error while uploading the thumbnail");
+    }
+
+    const videoId = new mongoose.Types.ObjectId();
+    sourceFile = await queueVideoSource(
+      videoId,
+      partPath,
+      session.filename
+    );
+
+    video = await Video.create({
+      _id: videoId,
+      title,
+      description,
+      thumbnail: thumbnail?.url,
+      thumbnailKey: thumbnail?.key,
+      owner: req.user._id,
+      isPublished: false,
+      publishAt: publishAt || undefined,
+      visibility,
+      tags: tags || [],
+      category: category?._id,
+      status: "processing",
+      processing: { sourceFile },
+    });
+  } catch (error) {
+    if (discarded) throw error;
+
+    // put the upload back so the client can finalize it again
+    try {
+      await discardThumbnail();
+      if (thumbnail?.key) {
+        await removeStoredFile(thumbnail.key);
+      }
+      if (sourceFile) {
+        await moveFile(processingSourcePath(sourceFile), partPath);
+      }
+      await UploadSession.updateOne(
+        { _id: session._id },
+        { $set: { status: "uploading" }, $unset: { lockedUntil: 1 } }
+      );
+    } catch (rollbackError) {
+      console.error(
+        `Error while releasing upload ${session._id} ${rollbackError}`
+      );
+    }
+    throw error;
+  }
+
+  await UploadSession.updateOne(
+    { _id: session._id },
+    {
+      $set: { status: "completed", video: video._id },
+      $unset: { lockedUntil: 1 },
+    }
+  );
+
+  triggerJob("video-processing");
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, "Video draft created", video));
+});
+
+/**
+ * Abandon an upload and drop the bytes received so far
+ */
+export const deleteUpload = asyncHandler(async (req, res) => {
+  const session = await findUploadSession(req);
+  const locked = await lockUploadSession(session);
+
+  if (!locked) {
+    throw new ApiError(409, "The upload is busy or already finished");
+  }
+
+  await fs.promises.rm(uploadPartPath(session._id), { force: true });
+  await UploadSession.deleteOne({ _id: session._id });
+
+  return res.status(204).end();
+});
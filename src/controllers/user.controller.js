@@ -3,30 +3,60 @@ import {
   asyncHandler,
   ApiResponse,
   ApiError,
-  uploadOnCloudinary,
-  deleteFromCloudinary,
+  storeFile,
+  removeStoredFile,
+  storageKeyOf,
+  sendMail,
+  escapeHtml,
+  hashToken,
+  sendLoginResponse,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeUserSessions,
+  revokeUserApiKeys,
+  ROLES,
+  watchHistoryPipeline,
+  viewableVideoIds,
+  recordSecurityEvent,
+  loginIdentifierLimiter,
+  loginIpLimiter,
+  passwordResetLimiter,
+  PRIVACY_SETTINGS,
+  canViewPrivate,
+  normalizeUsername,
+  isUsernameReserved,
+  assertCanChangeUsername,
+  recordUsernameChange,
+  findPreviousOwner,
 } from "../utils/index.js";
+import Session from "../models/session.model.js";
+import Subscription from "../models/subscription.model.js";
+import AccountDeletion from "../models/accountDeletion.model.js";
 import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
 import mongoose from "mongoose";
 
-const generateAccessAndRefreshTokens = async (userId) => {
-  try {
-    const user = await User.findById(userId);
-    const accessToken = await user.generateAccessToken();
-    // console.log("access " + accessToken);
-    const refreshToken = await user.generateRefreshToken();
-    // console.log("refresh " + refreshToken);
-
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(
+  "not-a-real-password",
+  10
+);
 
-    return { accessToken, refreshToken };
-  } catch (error) {
-    throw new ApiError(
-      500,
-      "Something went wrong while generating refresh and access token"
-    );
-  }
+const sendVerificationEmail = async (user) => {
+  const token = user.generateEmailVerificationToken();
+  const link = `${process.env.CLIENT_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email",
+    text: `Hi ${user.fullName},\n\nPlease confirm your email address by opening the link below:\n${link}\n\nIf you did not create an account you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(
+      user.fullName
+    )},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${escapeHtml(
+      link
+    )}">${escapeHtml(
+      link
+    )}</a></p><p>If you did not create an account you can ignore this email.</p>`,
+  });
 };
 
 export const register = asyncHandler(async (req, res) => {
@@ -41,10 +71,10 @@ export const register = asyncHandler(async (req, res) => {
   }
 
   const duplicateUser = await User.findOne({
-    $or: [{ username }, { email }],
+    $or: [{ username: normalizeUsername(username) }, { email }],
   }).exec();
 
-  if (duplicateUser) {
+  if (duplicateUser || (await isUsernameReserved(username))) {
     throw new ApiError(400, "Username or email already exists");
   }
 
@@ -63,10 +93,10 @@ export const register = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Please provide an avatar");
   }
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  const avatar = await storeFile(avatarLocalPath);
   // console.log("uploaded avatar:", avatar);
   const coverImage = coverImageLocalPath
-    ? await uploadOnCloudinary(coverImageLocalPath)
+    ? await storeFile(coverImageLocalPath)
     : {
         url: "https://images.unsplash.com/photo-1545486332-9e0999c535b2?q=80&w=1374&auto=format&fit=crop&ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
       };
@@ -76,18 +106,27 @@ export const register = asyncHandler(async (req, res) => {
     fullName,
     email,
     password,
+    emailVerified: false,
     avatar: avatar?.url,
+    avatarKey: avatar?.key,
     coverImage: coverImage?.url,
+    coverImageKey: coverImage?.key,
   });
 
   const createdUser = await User.findById(user._id)
-    .select("-password -refreshToken")
+    .select("-password")
     .exec();
 
   if (!createdUser) {
     throw new ApiError(500, "User not created");
   }
 
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error(`Error while sending verification email ${error}`);
+  }
+
   return res
     .status(201)
     .json(new ApiResponse(201, "User created", createdUser));
@@ -101,60 +140,81 @@ export const login = asyncHandler(async (req, res) => {
   }
 
   const duplicateUser = await User.findOne({
-    $or: [{ username: identifier }, { email: identifier }],
+    $or: [
+      { username: String(identifier) },
+      { email: String(identifier) },
+    ],
   }).exec();
 
-  if (!duplicateUser) {
-    throw new ApiError(404, "User not found register first");
-  }
+  // username and email of one account share a single budget
+  const identifierKey = duplicateUser
+    ? `user:${duplicateUser._id}`
+    : String(identifier).trim().toLowerCase();
 
-  const isPasswordMatched = await duplicateUser.isPasswordMatched(
-    password
-  );
+  const [identifierStatus, ipStatus] = await Promise.all([
+    loginIdentifierLimiter.check(identifierKey),
+    loginIpLimiter.check(req.ip),
+  ]);
 
-  if (!isPasswordMatched) {
-    throw new ApiError(400, "Invalid credentials");
+  if (identifierStatus.locked || ipStatus.locked) {
+    res.set(
+      "Retry-After",
+      `${Math.max(
+        identifierStatus.retryAfter || 0,
+        ipStatus.retryAfter || 0
+      )}`
+    );
+    throw new ApiError(
+      429,
+      "Too many login attempts, try again later"
+    );
   }
 
-  const { accessToken, refreshToken } =
-    await generateAccessAndRefreshTokens(duplicateUser._id);
+  // compare against a dummy hash too so timing doesn't reveal accounts
+  const isPasswordMatched = duplicateUser
+    ? await duplicateUser.isPasswordMatched(password)
+    : (await bcrypt.compare(password, DUMMY_PASSWORD_HASH)) && false;
 
-  const loggedInUser = await User.findById(duplicateUser._id)
-    .select("-password -refreshToken")
-    .exec();
-
-  const cookieOptions = {
-    sameSite: "strict",
+  if (!duplicateUser || !isPasswordMatched) {
+    const [identifierResult] = await Promise.all([
+      loginIdentifierLimiter.fail(identifierKey),
+      loginIpLimiter.fail(req.ip),
+    ]);
 
-    path: "/",
-  };
+    if (identifierResult.locked && duplicateUser) {
+      await recordSecurityEvent(
+        duplicateUser._id,
+        "login-locked",
+        req,
+        {
+          lockedUntil: identifierResult.lockedUntil,
+        }
+      );
+    }
 
-  if (process.env.NODE_ENV === "production") {
-    cookieOptions.secure = true;
+    throw new ApiError(401, "Invalid credentials");
   }
 
-  return res
-    .status(200)
-    .cookie("refreshToken", refreshToken, {
-      ...cookieOptions,
-    })
-    .cookie("accessToken", accessToken, cookieOptions)
-    .json(
-      new ApiResponse(200, "User Login Successfully", {
-        loggedInUser,
-        accessToken,
-        refreshToken,
+  await loginIdentifierLimiter.succeed(identifierKey);
+
+  // the second factor is checked by loginWithTwoFactor
+  if (duplicateUser.twoFactor?.enabled) {
+    return res.status(200).json(
+      new ApiResponse(200, "Two factor authentication required", {
+        twoFactorRequired: true,
+        challengeToken:
+          duplicateUser.generateTwoFactorChallengeToken(),
       })
     );
+  }
+
+  return sendLoginResponse(req, res, duplicateUser);
 });
 
 export const logout = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      $unset: { refreshToken: 1 },
-    },
-    { new: true }
+  await Session.updateOne(
+    { _id: req.sessionId, user: req.user._id },
+    { $set: { revokedAt: new Date() } }
   );
 
   const cookieOptions = {
@@ -185,15 +245,35 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
       incomingRefreshToken,
       process.env.REFRESH_TOKEN_SECRET
     );
+    const session = await Session.findOne({
+      _id: decoded.sid,
+      user: decoded._id,
+      revokedAt: null,
+    })
+      .select("+refreshTokenHash")
+      .exec();
     const foundUser = await User.findById(decoded._id).exec();
-    if (
-      !foundUser ||
-      incomingRefreshToken !== foundUser.refreshToken
-    ) {
+    if (!session || !foundUser) {
       throw new ApiError(401, "Invalid refresh token");
     }
-    const { accessToken, refreshToken: newRefreshToken } =
-      await generateAccessAndRefreshTokens(foundUser._id);
+
+    const tokens = await rotateRefreshToken(
+      foundUser,
+      req,
+      session,
+      incomingRefreshToken
+    );
+
+    // an already rotated token was presented, the family is compromised
+    if (!tokens) {
+      await revokeTokenFamily(session, req);
+      throw new ApiError(
+        401,
+        "Refresh token reuse detected, please login again"
+      );
+    }
+
+    const { accessToken, refreshToken: newRefreshToken } = tokens;
 
     const cookieOptions = {
       sameSite: "strict",
@@ -204,7 +284,10 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
     res
       .status(200)
       .cookie("accessToken", accessToken, cookieOptions)
-      .cookie("refreshToken", newRefreshToken, cookieOptions)
+      .cookie("refreshToken", newRefreshToken, {
+        ...cookieOptions,
+        httpOnly: true,
+      })
       .json(
         new ApiResponse(200, "Access token refreshed", {
           accessToken,
@@ -212,6 +295,9 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
         })
       );
   } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
     const statusCode =
       error instanceof jwt.JsonWebTokenError ? 403 : 500;
     throw new ApiError(
@@ -221,6 +307,159 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
   }
 });
 
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw new ApiError(400, "Verification token is required");
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(
+      token,
+      process.env.EMAIL_VERIFICATION_TOKEN_SECRET
+    );
+  } catch (error) {
+    throw new ApiError(
+      400,
+      error instanceof jwt.TokenExpiredError
+        ? "Verification link expired"
+        : "Invalid verification token"
+    );
+  }
+
+  if (decoded.purpose !== "email-verification") {
+    throw new ApiError(400, "Invalid verification token");
+  }
+
+  const user = await User.findById(decoded._id);
+
+  // the token is bound to the address it was sent to
+  if (!user || user.email !== decoded.email) {
+    throw new ApiError(400, "Invalid verification token");
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Email verified successfully"));
+});
+
+export const resendVerificationEmail = asyncHandler(
+  async (req, res) => {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    if (user.emailVerified !== false) {
+      throw new ApiError(400, "Email is already verified");
+    }
+
+    await sendVerificationEmail(user);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Verification email sent"));
+  }
+);
+
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new ApiError(400, "Email is required");
+  }
+
+  const user = await User.findOne({ email });
+
+  // a few mails per account, however it is addressed and from where
+  const status = user
+    ? await passwordResetLimiter.check(user._id.toString())
+    : { locked: false };
+
+  // same answer whether the account exists or not
+  if (user && !status.locked) {
+    await passwordResetLimiter.fail(user._id.toString());
+
+    const resetToken = user.generatePasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const link = `${process.env.CLIENT_URL}/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.fullName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThe link can be used once and expires soon. If you did not ask for this you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(
+          user.fullName
+        )},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${escapeHtml(
+          link
+        )}">${escapeHtml(
+          link
+        )}</a></p><p>The link can be used once and expires soon. If you did not ask for this you can ignore this email.</p>`,
+      });
+    } catch (error) {
+      // an error answer would tell that the account exists
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      console.error(`Error while sending reset email ${error}`);
+    }
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "If an account exists for this email a reset link has been sent"
+      )
+    );
+});
+
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword) {
+    throw new ApiError(400, "All fields are required");
+  }
+
+  if (newPassword.length < 6) {
+    throw new ApiError(400, "Password must be at least 6 characters");
+  }
+
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    throw new ApiError(400, "Reset link is invalid or has expired");
+  }
+
+  user.password = newPassword;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  // sign every device out, keys may have leaked with the password
+  await revokeUserSessions(user._id);
+  await revokeUserApiKeys(user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Password reset successfully"));
+});
+
 export const changeCurrentPassword = asyncHandler(
   async (req, res) => {
     const { oldPassword, newPassword } = req.body;
@@ -260,7 +499,7 @@ export const changeCurrentPassword = asyncHandler(
 
 export const getCurrentUser = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id)
-    .select("-password -refreshToken")
+    .select("-password")
     .exec();
   if (!user) {
     throw new ApiError(404, "User not found");
@@ -279,7 +518,7 @@ export const updateUserAccountDetails = asyncHandler(
     }
 
     const user = await User.findById(req.user._id).select(
-      "-password -refreshToken"
+      "-password"
     );
 
     if (!user) {
@@ -298,18 +537,28 @@ export const updateUserAccountDetails = asyncHandler(
         throw new ApiError(400, "Email already in use");
       }
       updateFields.email = email;
+      updateFields.emailVerified = false;
+      updateFields.emailVerifiedAt = null;
     }
 
-    if (username && username !== user.username) {
-      const existingUsernameUser = await User.findOne({ username });
+    const newUsername = username && normalizeUsername(username);
+
+    if (newUsername && newUsername !== user.username) {
+      const existingUsernameUser = await User.findOne({
+        username: newUsername,
+      });
 
       if (
-        existingUsernameUser &&
-        existingUsernameUser._id.toString() !== user._id.toString()
+        (existingUsernameUser &&
+          existingUsernameUser._id.toString() !==
+            user._id.toString()) ||
+        (await isUsernameReserved(newUsername, user._id))
       ) {
         throw new ApiError(400, "Username already in use");
       }
-      updateFields.username = username;
+
+      await assertCanChangeUsername(user._id);
+      updateFields.username = newUsername;
     }
 
     if (fullName) {
@@ -320,7 +569,21 @@ export const updateUserAccountDetails = asyncHandler(
       req.user._id,
       { $set: updateFields },
       { new: true }
-    ).select("-password -refreshToken");
+    ).select("-password");
+
+    if (updateFields.username) {
+      await recordUsernameChange(user._id, user.username);
+    }
+
+    if (updateFields.email) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (error) {
+        console.error(
+          `Error while sending verification email ${error}`
+        );
+      }
+    }
 
     return res
       .status(200)
@@ -334,6 +597,85 @@ export const updateUserAccountDetails = asyncHandler(
   }
 );
 
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  if (!ROLES.includes(role)) {
+    throw new ApiError(
+      400,
+      `Role must be one of ${ROLES.join(", ")}`
+    );
+  }
+
+  if (userId === req.user._id.toString()) {
+    throw new ApiError(400, "You cannot change your own role");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { role } },
+    { new: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "User role updated", user));
+});
+
+/**
+ * Update the privacy settings of the user
+ */
+export const updatePrivacySettings = asyncHandler(
+  async (req, res) => {
+    const updates = {};
+
+    for (const setting of PRIVACY_SETTINGS) {
+      if (req.body[setting] === undefined) continue;
+
+      if (typeof req.body[setting] !== "boolean") {
+        throw new ApiError(400, `${setting} must be true or false`);
+      }
+      updates[`privacy.${setting}`] = req.body[setting];
+    }
+
+    if (!Object.keys(updates).length) {
+      throw new ApiError(
+        400,
+        `Please provide one of ${PRIVACY_SETTINGS.join(", ")}`
+      );
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true }
+    ).select("privacy");
+
+    // nobody is left waiting once the channel is public again
+    if (updates["privacy.privateChannel"] === false) {
+      await Subscription.updateMany(
+        { channel: req.user._id, status: "pending" },
+        { $set: { status: "active" } }
+      );
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, "Privacy settings updated", user.privacy)
+      );
+  }
+);
+
 export const updateUserAvatar = asyncHandler(async (req, res) => {
   // console.log("Uploaded file:", req.file);
 
@@ -344,13 +686,11 @@ export const updateUserAvatar = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Please provide an avatar");
   }
 
-  const publicId = req.user?.avatar?.split("/").pop().split(".")[0];
-
-  await deleteFromCloudinary(publicId);
+  await removeStoredFile(storageKeyOf(req.user, "avatar"));
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  const avatar = await storeFile(avatarLocalPath);
 
-  if (!avatar.url) {
+  if (!avatar?.url) {
     throw new ApiError(400, "Error while uploading on avatar");
   }
   const userUpdatedAvatar = await User.findByIdAndUpdate(
@@ -358,6 +698,7 @@ export const updateUserAvatar = asyncHandler(async (req, res) => {
     {
       $set: {
         avatar: avatar.url,
+        avatarKey: avatar.key,
       },
     },
     { new: true }
@@ -388,17 +729,17 @@ export const updateUserCoverImage = asyncHandler(async (req, res) => {
   }
 
   if (user.coverImage) {
-    const publicId = user?.coverImage.split("/").pop().split(".")[0];
-    await deleteFromCloudinary(publicId);
+    await removeStoredFile(storageKeyOf(user, "coverImage"));
   }
 
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  const coverImage = await storeFile(coverImageLocalPath);
 
-  if (!coverImage.url) {
+  if (!coverImage?.url) {
     throw new ApiError(400, "Error while uploading on cover image");
   }
 
   user.coverImage = coverImage.url;
+  user.coverImageKey = coverImage.key;
   await user.save();
 
   res
@@ -420,10 +761,28 @@ export const getUserChannelProfile = asyncHandler(
       throw new ApiError(400, "user name is missing");
     }
 
+    let handle = normalizeUsername(username);
+
+    // an old handle leads to the user who gave it up
+    if (!(await User.exists({ username: handle }))) {
+      const previousOwner = await findPreviousOwner(handle);
+      const currentUser =
+        previousOwner &&
+        (await User.findById(previousOwner).select("username"));
+
+      if (currentUser) {
+        handle = currentUser.username;
+      }
+    }
+
+    // null for anonymous visitors so personal fields come out false
+    const viewerId = req.user?._id ?? null;
+    const activeOnly = [{ $match: { status: { $ne: "pending" } } }];
+
     const channel = await User.aggregate([
       {
         $match: {
-          username,
+          username: handle,
         },
       },
       {
@@ -432,6 +791,7 @@ export const getUserChannelProfile = asyncHandler(
           localField: "_id",
           foreignField: "channel",
           as: "subscribers",
+          pipeline: activeOnly,
         },
       },
       {
@@ -440,6 +800,7 @@ export const getUserChannelProfile = asyncHandler(
           localField: "_id",
           foreignField: "subscriber",
           as: "subscribedTo",
+          pipeline: activeOnly,
         },
       },
       {
@@ -452,7 +813,9 @@ export const getUserChannelProfile = asyncHandler(
           },
           isSubscribed: {
             $cond: {
-              if: { $in: [req.user?._id, "$subscribedTo"] },
+              if: {
+                $in: [viewerId, "$subscribers.subscriber"],
+              },
               then: true,
               else: false,
             },
@@ -460,9 +823,19 @@ export const getUserChannelProfile = asyncHandler(
         },
       },
       {
+        // select: false does not apply to aggregations
         $project: {
           password: 0,
+          // left on accounts from before sessions until migrated
           refreshToken: 0,
+          watchHistory: 0,
+          identities: 0,
+          "twoFactor.secret": 0,
+          "twoFactor.pendingSecret": 0,
+          "twoFactor.recoveryCodes": 0,
+          "twoFactor.lastUsedStep": 0,
+          passwordResetToken: 0,
+          passwordResetExpires: 0,
         },
       },
     ]);
@@ -470,53 +843,52 @@ export const getUserChannelProfile = asyncHandler(
     if (!channel?.length) {
       throw new ApiError(404, "channel does not exist");
     }
+
+    const profile = channel[0];
+
+    if (!req.user) {
+      delete profile.email;
+    }
+    profile.canonicalUsername = profile.username;
+    profile.redirectedFrom =
+      handle !== normalizeUsername(username)
+        ? normalizeUsername(username)
+        : null;
+
+    if (!canViewPrivate(req.user, profile, "hideSubscribers")) {
+      delete profile.subscribers;
+    }
+    if (!canViewPrivate(req.user, profile, "hideSubscriptions")) {
+      delete profile.subscribedTo;
+    }
+
+    profile.isSubscriptionPending =
+      !profile.isSubscribed && viewerId
+        ? Boolean(
+            await Subscription.exists({
+              channel: profile._id,
+              subscriber: viewerId,
+              status: "pending",
+            })
+          )
+        : false;
+
     return res
       .status(200)
-      .json(new ApiResponse(200, "success", channel[0]));
+      .json(new ApiResponse(200, "success", profile));
   }
 );
 
 export const getWatchHistory = asyncHandler(async (req, res) => {
-  const userWatchHistory = await User.aggregate([
-    {
-      $match: {
-        _id: new mongoose.Types.ObjectId(req.user?._id.toString()),
-      },
-    },
-    {
-      $lookup: {
-        from: "videos",
-        localField: "watchHistory",
-        foreignField: "_id",
-        as: "watchHistory",
-        pipeline: [
-          {
-            $lookup: {
-              from: "users",
-              localField: "owner",
-              foreignField: "_id",
-              as: "owner",
-              pipeline: [
-                {
-                  $project: {
-                    username: 1,
-                    email: 1,
-                    fullName: 1,
-                    avatar: 1,
-                  },
-                },
-              ],
-            },
-          },
-        ],
-      },
-    },
-    {
-      $addFields: {
-        owner: { $arrayElemAt: ["$watchHistory.owner", 0] },
-      },
-    },
-  ]);
+  if (req.user.privacy?.hideWatchHistory) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Watch history is paused", []));
+  }
+
+  const userWatchHistory = await User.aggregate(
+    watchHistoryPipeline(req.user?._id)
+  );
 
   if (
     !userWatchHistory ||
@@ -528,13 +900,119 @@ export const getWatchHistory = asyncHandler(async (req, res) => {
       .json(new ApiResponse(404, "Watch history not found"));
   }
 
+  // videos that were hidden since they were watched are left out
+  const { watchHistory } = userWatchHistory[0];
+  const viewable = await viewableVideoIds(
+    req.user,
+    watchHistory.map((video) => video._id)
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      "success",
+      watchHistory.filter((video) =>
+        viewable.has(video._id.toString())
+      )
+    )
+  );
+});
+
+export const deleteAccount = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  if (user.password) {
+    if (!password) {
+      throw new ApiError(400, "Please confirm your password");
+    }
+
+    const isPasswordCorrect = await user.isPasswordMatched(password);
+
+    if (!isPasswordCorrect) {
+      throw new ApiError(400, "Password is incorrect");
+    }
+  } else {
+    // accounts without a password confirm by a fresh provider login
+    const session = await Session.findById(req.sessionId);
+
+    if (
+      !session ||
+      Date.now() - session.createdAt.getTime() > 10 * 60 * 1000
+    ) {
+      throw new ApiError(401, "Please login again to confirm");
+    }
+  }
+
+  if (user.deletionScheduledFor) {
+    throw new ApiError(400, "Account deletion already scheduled");
+  }
+
+  const graceDays =
+    Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+  const scheduledFor = new Date(
+    Date.now() + graceDays * 24 * 60 * 60 * 1000
+  );
+
+  await AccountDeletion.create({ user: user._id, scheduledFor });
+  user.deletionScheduledFor = scheduledFor;
+  await user.save({ validateBeforeSave: false });
+
+  await revokeUserSessions(user._id);
+  await revokeUserApiKeys(user._id);
+
+  const cookieOptions = {
+    sameSite: "strict",
+
+    path: "/",
+  };
+
+  if (process.env.NODE_ENV === "production") {
+    cookieOptions.secure = true;
+  }
+
   return res
     .status(200)
+    .clearCookie("refreshToken", cookieOptions)
+    .clearCookie("accessToken", cookieOptions)
     .json(
       new ApiResponse(
         200,
-        "success",
-        userWatchHistory[0].watchHistory
+        "Account scheduled for deletion, login before the date to restore it",
+        { deletionScheduledFor: scheduledFor }
       )
     );
 });
+
+export const restoreAccount = asyncHandler(async (req, res) => {
+  if (!req.user.deletionScheduledFor) {
+    throw new ApiError(400, "Account is not scheduled for deletion");
+  }
+
+  // once the job started the data is already partly gone
+  const cancelled = await AccountDeletion.findOneAndDelete({
+    user: req.user._id,
+    status: "scheduled",
+  });
+
+  if (!cancelled) {
+    throw new ApiError(409, "Account deletion already in progress");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $unset: { deletionScheduledFor: 1 } },
+    { new: true }
+  ).select("-password");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, "Account restored successfully", user)
+    );
+});
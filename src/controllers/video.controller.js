@@ -1,26 +1,50 @@
 import Video from "../models/video.model.js";
 import User from "../models/user.model.js";
+import VideoShareToken from "../models/videoShareToken.model.js";
+import Category from "../models/category.model.js";
 import {
   asyncHandler,
   ApiResponse,
-  uploadOnCloudinary,
-  deleteFromCloudinary,
+  storeFile,
+  removeStoredFile,
+  storageKeyOf,
   ApiError,
+  assertOwnerOrPermission,
+  assertCanViewVideo,
+  isVideoOwner,
+  VIDEO_VISIBILITIES,
+  issuePlaybackToken,
+  verifyPlaybackToken,
+  recordView,
+  hashToken,
+  getFileMetadata,
+  getSignedFileUrl,
+  canStreamFile,
+  openFileStream,
+  parsePublishAt,
+  normalizeTag,
+  normalizeTags,
+  findActiveCategory,
+  escapeRegex,
 } from "../utils/index.js";
-import { isValidObjectId } from "mongoose";
-
-/**
- * Get all videos with pagination, search and sorting
- */
-export const getAllTheVideos = asyncHandler(async (req, res) => {
+import { triggerJob } from "../jobs/index.js";
+import {
+  queueVideoSource,
+  processingSourcePath,
+} from "../jobs/videoProcessing.job.js";
+import mongoose, { isValidObjectId } from "mongoose";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream";
+
+// pagination and sorting shared by the public video listings
+const paginateListedVideos = async (reqQuery, filter) => {
   const {
     page = 1,
     limit = 10,
     sortBy = "createdAt",
     sortType = "desc",
-    query = "",
-    userId,
-  } = req.query;
+  } = reqQuery;
 
   const pageNumber = parseInt(page, 10);
   const limitNumber = parseInt(limit, 10);
@@ -34,84 +58,362 @@ export const getAllTheVideos = asyncHandler(async (req, res) => {
     [sortBy]: sortType.toLowerCase() === "asc" ? 1 : -1,
   };
 
-  const searchQuery = {
-    $or: [
-      { title: { $regex: query, $options: "i" } },
-      { description: { $regex: query, $options: "i" } },
+  const options = {
+    page: pageNumber,
+    limit: limitNumber,
+    sort: sort,
+    populate: [
+      { path: "owner", select: "username avatar" },
+      { path: "category", select: "name slug" },
     ],
   };
 
+  const result = await Video.paginate(
+    { ...filter, ...Video.listedFilter() },
+    options
+  );
+
+  return {
+    videos: result.docs,
+    totalVideos: result.totalDocs,
+    totalPages: result.totalPages,
+    currentPage: result.page,
+  };
+};
+
+// stored urls of local videos only work with a signature
+const signVideoUrls = async (video) => ({
+  videoFile:
+    (await getSignedFileUrl(storageKeyOf(video, "videoFile"), {
+      resourceType: "video",
+    })) || video.videoFile,
+  renditions: await Promise.all(
+    (video.renditions || []).map(async (rendition) => ({
+      ...rendition,
+      url:
+        (await getSignedFileUrl(rendition.key, {
+          resourceType: "video",
+        })) || rendition.url,
+    }))
+  ),
+});
+
+// inactive categories can still be browsed
+const findCategory = async (value) => {
+  const category = await Category.findOne(
+    isValidObjectId(value)
+      ? { _id: value }
+      : { slug: normalizeTag(value) }
+  );
+
+  if (!category) {
+    throw new ApiError(404, "Category not found");
+  }
+
+  return category;
+};
+
+/**
+ * Get all videos with pagination, search and sorting
+ */
+export const getAllTheVideos = asyncHandler(async (req, res) => {
+  const { query = "", userId, tag, category } = req.query;
+
+  const searchQuery = {};
+
+  // plain substring match, /api/search does ranked full-text search
+  if (String(query).trim()) {
+    const pattern = escapeRegex(String(query).trim());
+    searchQuery.$or = [
+      { title: { $regex: pattern, $options: "i" } },
+      { description: { $regex: pattern, $options: "i" } },
+    ];
+  }
+
   if (userId && mongoose.Types.ObjectId.isValid(userId)) {
-    searchQuery.owner = mongoose.Types.ObjectId(userId);
+    searchQuery.owner = new mongoose.Types.ObjectId(userId);
   }
 
-  const options = {
-    page: pageNumber,
-    limit: limitNumber,
-    sort: sort,
-    populate: { path: "owner", select: "username avatar" },
-  };
+  if (tag) {
+    searchQuery.tags = normalizeTag(tag);
+  }
+
+  if (category) {
+    searchQuery.category = (await findCategory(category))._id;
+  }
+
+  const videos = await paginateListedVideos(req.query, searchQuery);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, "Videos fetched successfully", videos)
+    );
+});
+
+/**
+ * Get the videos with a tag
+ */
+export const getVideosByTag = asyncHandler(async (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+
+  if (!tag) {
+    throw new ApiError(400, "Invalid tag");
+  }
+
+  const videos = await paginateListedVideos(req.query, { tags: tag });
 
-  const result = await Video.paginate(searchQuery, options);
+  return res.status(200).json(
+    new ApiResponse(200, "Videos fetched successfully", {
+      tag,
+      ...videos,
+    })
+  );
+});
+
+/**
+ * Get the videos of a category
+ */
+export const getVideosByCategory = asyncHandler(async (req, res) => {
+  const category = await findCategory(req.params.category);
+
+  const videos = await paginateListedVideos(req.query, {
+    category: category._id,
+  });
 
-  res.status(200).json(
+  return res.status(200).json(
     new ApiResponse(200, "Videos fetched successfully", {
-      videos: result.docs,
-      totalVideos: result.totalDocs,
-      totalPages: result.totalPages,
-      currentPage: result.page,
+      category,
+      ...videos,
     })
   );
 });
 
+/**
+ * Get the most used tags with the number of videos using them
+ */
+export const getPopularTags = asyncHandler(async (req, res) => {
+  const { limit = 20, category } = req.query;
+  const limitNumber = Math.min(
+    Math.max(parseInt(limit, 10) || 20, 1),
+    100
+  );
+
+  const match = {
+    ...Video.listedFilter(),
+    "tags.0": { $exists: true },
+  };
+
+  if (category) {
+    match.category = (await findCategory(category))._id;
+  }
+
+  const tags = await Video.aggregate([
+    { $match: match },
+    { $unwind: "$tags" },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limitNumber },
+    { $project: { _id: 0, tag: "$_id", count: 1 } },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Popular tags fetched", tags));
+});
+
 /**
  * Publish a video
  */
 export const publishAVideo = asyncHandler(async (req, res) => {
   const { title, description, isPublished } = req.body;
 
+  const thumbnailFile = req.files?.thumbnail?.[0];
+  const videoFile = req.files?.videoFile?.[0];
+
+  const discardFiles = async () => {
+    for (const file of [thumbnailFile, videoFile]) {
+      if (file) await fs.promises.rm(file.path, { force: true });
+    }
+  };
+
   if (!title || !description) {
+    await discardFiles();
     throw new ApiError(400, "All fields are required");
   }
 
-  const thumbnailFile = req.files?.thumbnail[0];
-  const videoFile = req.files?.videoFile[0];
+  if (!videoFile) {
+    await discardFiles();
+    throw new ApiError(400, "Please provide a video");
+  }
+
+  const { visibility = "public" } = req.body;
 
-  if (!thumbnailFile || !videoFile) {
-    throw new ApiError(400, "Please provide thumbnail and video");
+  if (!VIDEO_VISIBILITIES.includes(visibility)) {
+    await discardFiles();
+    throw new ApiError(
+      400,
+      `visibility must be one of ${VIDEO_VISIBILITIES.join(", ")}`
+    );
   }
 
-  const thumbnailLocalFilePath = thumbnailFile.path;
-  const videoLocalFilePath = videoFile.path;
+  let publishAt, tags, category;
+  try {
+    publishAt = parsePublishAt(req.body.publishAt);
+    tags = normalizeTags(req.body.tags);
+    category = await findActiveCategory(req.body.category);
+  } catch (error) {
+    await discardFiles();
+    throw error;
+  }
 
-  const thumbnail = await uploadOnCloudinary(thumbnailLocalFilePath);
-  const videoFileUpload = await uploadOnCloudinary(
-    videoLocalFilePath
-  );
+  // a thumbnail is generated from the video when none is given
+  const thumbnail = thumbnailFile
+    ? await storeFile(thumbnailFile.path)
+    : null;
 
-  if (!thumbnail.url || !videoFileUpload.url) {
-    throw new ApiError(400, "Error while uploading on cloudinary");
+  if (thumbnailFile && !thumbnail?.url) {
+    await fs.promises.rm(videoFile.path, { force: true });
+    throw new ApiError(400, "Error while uploading the thumbnail");
   }
 
+  const videoId = new mongoose.Types.ObjectId();
+  const sourceFile = await queueVideoSource(
+    videoId,
+    videoFile.path,
+    videoFile.originalname
+  );
+
   const video = await Video.create({
+    _id: videoId,
     title,
     description,
-    duration: videoFileUpload.duration,
-    thumbnail: thumbnail.url,
-    videoFile: videoFileUpload.url,
+    thumbnail: thumbnail?.url,
+    thumbnailKey: thumbnail?.key,
     owner: req.user?._id,
-    isPublished: isPublished !== undefined ? isPublished : true,
+    // a scheduled video stays unpublished until its time comes
+    isPublished: publishAt
+      ? false
+      : isPublished !== undefined
+      ? isPublished
+      : true,
+    publishAt: publishAt || undefined,
+    visibility,
+    tags: tags || [],
+    category: category?._id,
+    status: "processing",
+    processing: { sourceFile },
   });
 
   if (!video) {
     throw new ApiError(400, "Error while publishing video");
   }
 
+  // start right away instead of waiting for the next poll
+  triggerJob("video-processing");
+
   return res
-    .status(200)
-    .json(
-      new ApiResponse(200, "Video published successfully", video)
+    .status(202)
+    .json(new ApiResponse(202, "Video is being processed", video));
+});
+
+/**
+ * Get the processing status of a video
+ */
+export const getVideoStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId).select(
+    "owner status processing metadata renditions duration"
+  );
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  assertOwnerOrPermission(
+    req.user,
+    video.owner,
+    "videos:moderate",
+    "You are not authorized to view this video"
+  );
+
+  return res.status(200).json(
+    new ApiResponse(200, "Video status fetched", {
+      _id: video._id,
+      status: video.status,
+      attempts: video.processing?.attempts || 0,
+      error: video.processing?.error,
+      startedAt: video.processing?.startedAt,
+      completedAt: video.processing?.completedAt,
+      duration: video.duration,
+      metadata: video.metadata,
+      renditions: (await signVideoUrls(video.toObject())).renditions,
+    })
+  );
+});
+
+/**
+ * Queue a video whose processing failed for another round
+ */
+export const retryVideoProcessing = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId).select(
+    "+processing.sourceFile"
+  );
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  assertOwnerOrPermission(
+    req.user,
+    video.owner,
+    "videos:moderate",
+    "You are not authorized to update this video"
+  );
+
+  if (video.status !== "failed") {
+    throw new ApiError(409, "Only failed videos can be retried");
+  }
+
+  if (
+    !video.processing?.sourceFile ||
+    !fs.existsSync(processingSourcePath(video.processing.sourceFile))
+  ) {
+    throw new ApiError(
+      410,
+      "The uploaded file is gone, please upload the video again"
     );
+  }
+
+  const retried = await Video.findOneAndUpdate(
+    { _id: video._id, status: "failed" },
+    {
+      $set: { status: "processing", "processing.attempts": 0 },
+      $unset: { "processing.error": 1, "processing.lockedUntil": 1 },
+    },
+    { new: true }
+  );
+
+  if (!retried) {
+    throw new ApiError(409, "Only failed videos can be retried");
+  }
+
+  triggerJob("video-processing");
+
+  return res
+    .status(202)
+    .json(new ApiResponse(202, "Video processing retried", retried));
 });
 
 /**
@@ -124,35 +426,249 @@ export const getSingleVideo = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid video id");
   }
 
-  try {
-    const video = await Video.findByIdAndUpdate(
-      videoId,
-      { $inc: { views: 1 } },
-      { new: true }
-    ).populate("owner", ["username", "avatar"]);
+  const video = await Video.findById(videoId)
+    .populate("owner", ["username", "avatar"])
+    .populate("category", ["name", "slug"]);
 
-    if (!video) {
-      throw new ApiError(404, "Video not found");
-    }
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
 
-    // Update user's watch history
-    const userId = req.user?._id;
-    if (userId) {
-      const user = await User.findById(userId);
-      if (user && !user.watchHistory.includes(videoId)) {
-        user.watchHistory.push(videoId);
-        await user.save();
-      }
+  const shareToken = req.query.share
+    ? String(req.query.share)
+    : undefined;
+  await assertCanViewVideo(req.user, video, { shareToken });
+
+  // Update user's watch history
+  const userId = req.user?._id;
+  if (userId && !req.user.privacy?.hideWatchHistory) {
+    const user = await User.findById(userId);
+    if (user && !user.watchHistory.includes(videoId)) {
+      user.watchHistory.push(videoId);
+      await user.save();
     }
+  }
 
-    return res
-      .status(200)
-      .json(
-        new ApiResponse(200, "Video fetched successfully", video)
-      );
+  // the player reports the view with this once enough was watched
+  const playbackToken = issuePlaybackToken(video._id, userId);
+  const streamUrl = shareToken
+    ? `/api/video/${video._id}/stream?share=${encodeURIComponent(
+        shareToken
+      )}`
+    : `/api/video/${video._id}/stream`;
+
+  const result = video.toObject();
+  if (!isVideoOwner(req.user, video)) {
+    delete result.sharedWith;
+  }
+  Object.assign(result, await signVideoUrls(result));
+
+  return res.status(200).json(
+    new ApiResponse(200, "Video fetched successfully", {
+      ...result,
+      playbackToken,
+      streamUrl,
+    })
+  );
+});
+
+/**
+ * Report that a playback was watched, counts a view when it passes
+ * the dedup, bot and watch time checks
+ */
+export const recordVideoView = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { playbackToken, watchedSeconds } = req.body;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const seconds = Number(watchedSeconds);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new ApiError(
+      400,
+      "watchedSeconds must be a positive number"
+    );
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  await assertCanViewVideo(req.user, video, {
+    shareToken: req.query.share,
+  });
+
+  const playback = verifyPlaybackToken(playbackToken, video._id);
+
+  // a token fetched by one account can not count views for another
+  if (
+    !playback ||
+    (playback.viewer && playback.viewer !== req.user?._id.toString())
+  ) {
+    throw new ApiError(400, "Invalid playback token");
+  }
+
+  const userAgent = req.get("user-agent");
+  const result = await recordView({
+    video,
+    viewer: req.user,
+    // the client picks its user agent, so it can not tell viewers apart
+    fingerprint: hashToken(req.ip),
+    playback,
+    watchedSeconds: seconds,
+    userAgent,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result.counted ? "View counted" : "View not counted",
+        result
+      )
+    );
+});
+
+const isFresh = (req, etag, lastModified) => {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    return ifNoneMatch
+      .split(",")
+      .some((tag) => tag.trim() === etag || tag.trim() === "*");
+  }
+
+  const ifModifiedSince = Date.parse(
+    req.headers["if-modified-since"]
+  );
+  return (
+    !Number.isNaN(ifModifiedSince) &&
+    Math.floor(lastModified.getTime() / 1000) * 1000 <=
+      ifModifiedSince
+  );
+};
+
+// a stale If-Range means the client holds another version, send it all
+const isRangeUsable = (req, etag, lastModified) => {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+
+  if (ifRange.includes('"')) return ifRange === etag;
+
+  const date = Date.parse(ifRange);
+  return (
+    !Number.isNaN(date) &&
+    Math.floor(lastModified.getTime() / 1000) * 1000 <= date
+  );
+};
+
+/**
+ * Stream the video file, supports range requests so players can seek
+ */
+export const streamVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  await assertCanViewVideo(req.user, video, {
+    shareToken: req.query.share,
+  });
+
+  const storageKey = storageKeyOf(video, "videoFile");
+
+  if (!storageKey) {
+    throw new ApiError(404, "Video file not found");
+  }
+
+  // providers without byte access serve the file themselves
+  if (!canStreamFile(storageKey)) {
+    const url = await getSignedFileUrl(storageKey, {
+      resourceType: "video",
+    });
+    return res.redirect(302, url || video.videoFile);
+  }
+
+  let metadata;
+  try {
+    metadata = await getFileMetadata(storageKey, {
+      resourceType: "video",
+    });
   } catch (error) {
-    throw new ApiError(500, "Failed to fetch video");
+    throw new ApiError(404, "Video file not found");
+  }
+
+  const size = metadata.bytes;
+  const lastModified = new Date(metadata.updatedAt);
+  const etag = `W/"${size.toString(16)}-${lastModified
+    .getTime()
+    .toString(16)}"`;
+
+  res.set({
+    "Accept-Ranges": "bytes",
+    "Cache-Control":
+      video.isPublished && video.visibility === "public"
+        ? "public, max-age=0"
+        : "private",
+    ETag: etag,
+    "Last-Modified": lastModified.toUTCString(),
+  });
+  res.type(path.extname(storageKey) || "video/mp4");
+
+  if (isFresh(req, etag, lastModified)) {
+    return res.status(304).end();
+  }
+
+  let start = 0;
+  let end = size - 1;
+
+  const ranges =
+    req.headers.range && isRangeUsable(req, etag, lastModified)
+      ? req.range(size, { combine: true })
+      : null;
+
+  if (ranges === -1) {
+    res.set("Content-Range", `bytes */${size}`);
+    throw new ApiError(416, "Requested range not satisfiable");
+  }
+
+  // malformed or multiple ranges get the whole file
+  if (Array.isArray(ranges) && ranges.length === 1) {
+    ({ start, end } = ranges[0]);
+    res.status(206);
+    res.set("Content-Range", `bytes ${start}-${end}/${size}`);
+  } else {
+    res.status(200);
   }
+
+  res.set("Content-Length", size ? end - start + 1 : 0);
+
+  if (req.method === "HEAD" || size === 0) {
+    return res.end();
+  }
+
+  pipeline(
+    openFileStream(storageKey, { start, end }),
+    res,
+    (error) => {
+      if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error(
+          `Error while streaming video ${videoId} ${error}`
+        );
+      }
+    }
+  );
 });
 
 /**
@@ -170,40 +686,54 @@ export const updateVideo = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid video ID");
   }
 
+  const publishAt = parsePublishAt(req.body.publishAt);
+  const tags = normalizeTags(req.body.tags);
+  const category = await findActiveCategory(req.body.category);
+
   const video = await Video.findById(videoId);
 
   if (!video) {
     throw new ApiError(404, "Video not found");
   }
 
-  if (video.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(
-      403,
-      "You are not authorized to update this video"
-    );
+  assertOwnerOrPermission(
+    req.user,
+    video.owner,
+    "videos:moderate",
+    "You are not authorized to update this video"
+  );
+
+  if (publishAt && video.isPublished) {
+    throw new ApiError(409, "The video is already published");
   }
 
   const thumbnailLocalFilePath = req.files?.thumbnail?.[0];
   // console.log(thumbnailLocalFilePath);
 
   if (thumbnailLocalFilePath) {
-    const publicId = video.thumbnail.split("/").pop().split(".")[0];
-    // console.log(publicId);
-    await deleteFromCloudinary(publicId);
-    const thumbnail = await uploadOnCloudinary(
-      thumbnailLocalFilePath.path
-    );
+    await removeStoredFile(storageKeyOf(video, "thumbnail"));
+    const thumbnail = await storeFile(thumbnailLocalFilePath.path);
     // console.log(thumbnail);
 
-    if (!thumbnail.url) {
-      throw new ApiError(400, "Error while uploading on cloudinary");
+    if (!thumbnail?.url) {
+      throw new ApiError(400, "Error while uploading the thumbnail");
     }
 
     video.thumbnail = thumbnail.url;
+    video.thumbnailKey = thumbnail.key;
   }
 
   video.title = title;
   video.description = description;
+  if (publishAt !== undefined) {
+    video.publishAt = publishAt || undefined;
+  }
+  if (tags !== undefined) {
+    video.tags = tags;
+  }
+  if (category !== undefined) {
+    video.category = category?._id;
+  }
   await video.save();
 
   return res
@@ -221,26 +751,35 @@ export const deleteVideo = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid video id");
   }
 
-  const video = await Video.findById(videoId);
+  const video = await Video.findById(videoId).select(
+    "+processing.sourceFile"
+  );
 
   if (!video) {
     throw new ApiError(404, "Video not found");
   }
 
-  if (video.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(
-      403,
-      "You are not authorized to update this video"
+  assertOwnerOrPermission(
+    req.user,
+    video.owner,
+    "videos:moderate",
+    "You are not authorized to delete this video"
+  );
+
+  await removeStoredFile(storageKeyOf(video, "thumbnail"));
+  await removeStoredFile(storageKeyOf(video, "videoFile"), {
+    resourceType: "video",
+  });
+  for (const rendition of video.renditions || []) {
+    await removeStoredFile(rendition.key, { resourceType: "video" });
+  }
+  if (video.processing?.sourceFile) {
+    await fs.promises.rm(
+      processingSourcePath(video.processing.sourceFile),
+      { force: true }
     );
   }
-
-  const publicId = video?.thumbnail?.split("/").pop().split(".")[0];
-  const videoFilePublicId = video?.videoFile
-    ?.split("/")
-    .pop()
-    .split(".")[0];
-  await deleteFromCloudinary(publicId);
-  await deleteFromCloudinary(videoFilePublicId);
+  await VideoShareToken.deleteMany({ video: video._id });
   await Video.findByIdAndDelete(videoId);
 
   return res
@@ -264,13 +803,15 @@ export const togglePublishStatus = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Video not found");
   }
 
-  if (video.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(
-      403,
-      "You are not authorized to update this video"
-    );
-  }
+  assertOwnerOrPermission(
+    req.user,
+    video.owner,
+    "videos:moderate",
+    "You are not authorized to update this video"
+  );
   video.isPublished = !video.isPublished;
+  // publishing by hand replaces any schedule
+  video.publishAt = undefined;
   await video.save();
 
   return res
@@ -298,3 +839,71 @@ export const unisPublishedVideos = asyncHandler(async (req, res) => {
       )
     );
 });
+
+/**
+ * Get the videos of the user that are waiting to be published
+ */
+export const getScheduledVideos = asyncHandler(async (req, res) => {
+  const videos = await Video.find({
+    owner: req.user._id,
+    isPublished: false,
+    publishAt: { $ne: null },
+  }).sort({ publishAt: 1 });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "Scheduled videos retrieved successfully",
+        videos
+      )
+    );
+});
+
+/**
+ * Cancel the scheduled publishing of a video, it stays unpublished
+ */
+export const cancelScheduledPublish = asyncHandler(
+  async (req, res) => {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+      throw new ApiError(400, "Invalid video id");
+    }
+
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+      throw new ApiError(404, "Video not found");
+    }
+
+    assertOwnerOrPermission(
+      req.user,
+      video.owner,
+      "videos:moderate",
+      "You are not authorized to update this video"
+    );
+
+    // the scheduler may publish it in the meantime
+    const cancelled = await Video.findOneAndUpdate(
+      {
+        _id: video._id,
+        isPublished: false,
+        publishAt: { $ne: null },
+      },
+      { $unset: { publishAt: 1 } },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      throw new ApiError(409, "The video is not scheduled");
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, "Scheduled publish cancelled", cancelled)
+      );
+  }
+);
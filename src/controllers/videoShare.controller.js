@@ -0,0 +1,237 @@
+import crypto from "crypto";
+import Video from "../models/video.model.js";
+import User from "../models/user.model.js";
+import VideoShareToken from "../models/videoShareToken.model.js";
+import {
+  asyncHandler,
+  ApiResponse,
+  ApiError,
+  hashToken,
+  assertOwnerOrPermission,
+  VIDEO_VISIBILITIES,
+} from "../utils/index.js";
+import { isValidObjectId } from "mongoose";
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_SHARED_USERS = 100;
+const MAX_SHARE_LINKS = 20;
+const MAX_LINK_HOURS = 30 * 24;
+
+const findOwnVideo = async (req) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  assertOwnerOrPermission(
+    req.user,
+    video.owner,
+    "videos:moderate",
+    "You are not authorized to update this video"
+  );
+
+  return video;
+};
+
+/**
+ * Change who can watch a video
+ */
+export const updateVideoVisibility = asyncHandler(
+  async (req, res) => {
+    const { visibility } = req.body;
+
+    if (!VIDEO_VISIBILITIES.includes(visibility)) {
+      throw new ApiError(
+        400,
+        `visibility must be one of ${VIDEO_VISIBILITIES.join(", ")}`
+      );
+    }
+
+    const video = await findOwnVideo(req);
+
+    video.visibility = visibility;
+    await video.save();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Video visibility updated", video));
+  }
+);
+
+/**
+ * Get the users and links a video is shared with
+ */
+export const getVideoShares = asyncHandler(async (req, res) => {
+  const video = await findOwnVideo(req);
+
+  await video.populate("sharedWith", "username fullName avatar");
+
+  const links = await VideoShareToken.find({
+    video: video._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+
+  return res.status(200).json(
+    new ApiResponse(200, "Video shares fetched successfully", {
+      visibility: video.visibility,
+      users: video.sharedWith,
+      links,
+    })
+  );
+});
+
+/**
+ * Share a video with a user, it only matters while the video is private
+ */
+export const shareVideoWithUser = asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const video = await findOwnVideo(req);
+
+  if (video.owner.toString() === userId.toString()) {
+    throw new ApiError(400, "The owner can always watch the video");
+  }
+
+  if (!(await User.exists({ _id: userId }))) {
+    throw new ApiError(404, "User not found");
+  }
+
+  const updated = await Video.findOneAndUpdate(
+    {
+      _id: video._id,
+      [`sharedWith.${MAX_SHARED_USERS - 1}`]: { $exists: false },
+    },
+    { $addToSet: { sharedWith: userId } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ApiError(
+      400,
+      `A video can be shared with at most ${MAX_SHARED_USERS} users`
+    );
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Video shared successfully"));
+});
+
+/**
+ * Stop sharing a video with a user
+ */
+export const unshareVideoWithUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const video = await findOwnVideo(req);
+
+  await Video.updateOne(
+    { _id: video._id },
+    { $pull: { sharedWith: userId } }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Video unshared successfully"));
+});
+
+/**
+ * Create an expiring link to a private video, the token is only
+ * returned once
+ */
+export const createShareLink = asyncHandler(async (req, res) => {
+  const { label, expiresInHours = 7 * 24 } = req.body;
+
+  const hours = Number(expiresInHours);
+  if (
+    !Number.isFinite(hours) ||
+    hours <= 0 ||
+    hours > MAX_LINK_HOURS
+  ) {
+    throw new ApiError(
+      400,
+      `expiresInHours must be between 0 and ${MAX_LINK_HOURS}`
+    );
+  }
+
+  const video = await findOwnVideo(req);
+
+  const activeLinks = await VideoShareToken.countDocuments({
+    video: video._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (activeLinks >= MAX_SHARE_LINKS) {
+    throw new ApiError(
+      400,
+      `A video can have at most ${MAX_SHARE_LINKS} share links`
+    );
+  }
+
+  const token = crypto.randomBytes(24).toString("base64url");
+
+  const link = await VideoShareToken.create({
+    video: video._id,
+    createdBy: req.user._id,
+    label: label?.trim() || undefined,
+    prefix: token.slice(0, 6),
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + hours * HOUR_MS),
+  });
+
+  return res.status(201).json(
+    new ApiResponse(201, "Share link created, copy it now", {
+      _id: link._id,
+      label: link.label,
+      prefix: link.prefix,
+      expiresAt: link.expiresAt,
+      createdAt: link.createdAt,
+      token,
+      url: `/api/video/${video._id}?share=${token}`,
+    })
+  );
+});
+
+/**
+ * Revoke a share link of a video
+ */
+export const revokeShareLink = asyncHandler(async (req, res) => {
+  const { linkId } = req.params;
+
+  if (!isValidObjectId(linkId)) {
+    throw new ApiError(400, "Invalid share link id");
+  }
+
+  const video = await findOwnVideo(req);
+
+  const link = await VideoShareToken.findOneAndUpdate(
+    { _id: linkId, video: video._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!link) {
+    throw new ApiError(404, "Share link not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, "Share link revoked successfully"));
+});
@@ -0,0 +1,29 @@
+import User from "../models/user.model.js";
+
+/**
+ * Data fixes for documents written by older versions, each one is safe
+ * to run again and runs on every start
+ */
+const migrations = [
+  {
+    // refresh tokens moved to sessions, the plaintext copy has to go
+    name: "unset-user-refresh-token",
+    run: () =>
+      User.collection.updateMany(
+        { refreshToken: { $exists: true } },
+        { $unset: { refreshToken: "" } }
+      ),
+  },
+];
+
+export const runMigrations = async () => {
+  for (const migration of migrations) {
+    const { modifiedCount } = await migration.run();
+
+    if (modifiedCount) {
+      console.log(
+        `Migration ${migration.name} updated ${modifiedCount} documents`
+      );
+    }
+  }
+};
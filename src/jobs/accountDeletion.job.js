@@ -0,0 +1,252 @@
+import AccountDeletion from "../models/accountDeletion.model.js";
+import User from "../models/user.model.js";
+import Video from "../models/video.model.js";
+import Tweet from "../models/tweet.model.js";
+import Comment from "../models/comment.model.js";
+import Like from "../models/like.model.js";
+import Subscription from "../models/subscription.model.js";
+import Playlist from "../models/playlist.model.js";
+import Session from "../models/session.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
+import DataExport from "../models/dataExport.model.js";
+import ApiKey from "../models/apiKey.model.js";
+import Relationship from "../models/relationship.model.js";
+import UsernameHistory from "../models/usernameHistory.model.js";
+import UploadSession from "../models/uploadSession.model.js";
+import VideoShareToken from "../models/videoShareToken.model.js";
+import SearchHistory from "../models/searchHistory.model.js";
+import ViewEvent from "../models/viewEvent.model.js";
+import { uploadPartPath } from "./uploadCleanup.job.js";
+import { processingSourcePath } from "./videoProcessing.job.js";
+import fs from "fs";
+import { removeStoredFile, storageKeyOf } from "../utils/index.js";
+
+const LOCK_MS = 5 * 60 * 1000;
+
+// null means the provider errored, "not found" comes back as false
+const deleteMedia = async (storageKey, resourceType) => {
+  if (!storageKey) return;
+
+  const deleted = await removeStoredFile(storageKey, {
+    resourceType,
+  });
+  if (deleted === null) {
+    throw new Error(`Could not delete ${storageKey}`);
+  }
+};
+
+/**
+ * Every step is idempotent so a run can be repeated after a crash
+ */
+const steps = [
+  [
+    "likes",
+    async (userId) => {
+      const [videoIds, tweetIds, commentIds] = await Promise.all([
+        Video.find({ owner: userId }).distinct("_id"),
+        Tweet.find({ owner: userId }).distinct("_id"),
+        Comment.find({ owner: userId }).distinct("_id"),
+      ]);
+
+      await Like.deleteMany({
+        $or: [
+          { likedBy: userId },
+          { video: { $in: videoIds } },
+          { tweet: { $in: tweetIds } },
+          { comment: { $in: commentIds } },
+        ],
+      });
+    },
+  ],
+  [
+    "comments",
+    async (userId) => {
+      const videoIds = await Video.find({ owner: userId }).distinct(
+        "_id"
+      );
+      const commentIds = await Comment.find({
+        video: { $in: videoIds },
+      }).distinct("_id");
+
+      await Like.deleteMany({ comment: { $in: commentIds } });
+      await Comment.deleteMany({
+        $or: [{ owner: userId }, { video: { $in: videoIds } }],
+      });
+    },
+  ],
+  [
+    "tweets",
+    async (userId) => {
+      await Tweet.deleteMany({ owner: userId });
+    },
+  ],
+  [
+    "subscriptions",
+    async (userId) => {
+      await Subscription.deleteMany({
+        $or: [{ subscriber: userId }, { channel: userId }],
+      });
+    },
+  ],
+  [
+    "playlists",
+    async (userId) => {
+      const videoIds = await Video.find({ owner: userId }).distinct(
+        "_id"
+      );
+
+      await Playlist.deleteMany({ owner: userId });
+      await Playlist.updateMany(
+        { videos: { $in: videoIds } },
+        { $pull: { videos: { $in: videoIds } } }
+      );
+    },
+  ],
+  [
+    "videos",
+    async (userId) => {
+      const videos = await Video.find({ owner: userId }).select(
+        "+processing.sourceFile"
+      );
+
+      // one video at a time, a retry only redoes the unfinished ones
+      for (const video of videos) {
+        await deleteMedia(storageKeyOf(video, "thumbnail"), "image");
+        await deleteMedia(storageKeyOf(video, "videoFile"), "video");
+        for (const rendition of video.renditions) {
+          await deleteMedia(rendition.key, "video");
+        }
+        if (video.processing?.sourceFile) {
+          await fs.promises.rm(
+            processingSourcePath(video.processing.sourceFile),
+            { force: true }
+          );
+        }
+        await User.updateMany(
+          { watchHistory: video._id },
+          { $pull: { watchHistory: video._id } }
+        );
+        await VideoShareToken.deleteMany({ video: video._id });
+        await ViewEvent.deleteMany({ video: video._id });
+        await Video.deleteOne({ _id: video._id });
+      }
+    },
+  ],
+  [
+    "media",
+    async (userId) => {
+      const user = await User.findById(userId);
+      if (!user) return;
+
+      await deleteMedia(storageKeyOf(user, "avatar"), "image");
+      await deleteMedia(storageKeyOf(user, "coverImage"), "image");
+    },
+  ],
+  [
+    "exports",
+    async (userId) => {
+      const dataExports = await DataExport.find({
+        user: userId,
+      }).select("+filePath");
+
+      for (const dataExport of dataExports) {
+        if (dataExport.filePath) {
+          await fs.promises.rm(dataExport.filePath, { force: true });
+        }
+        await DataExport.deleteOne({ _id: dataExport._id });
+      }
+    },
+  ],
+  [
+    "uploads",
+    async (userId) => {
+      const sessions = await UploadSession.find({ user: userId });
+
+      for (const session of sessions) {
+        await fs.promises.rm(uploadPartPath(session._id), {
+          force: true,
+        });
+        await UploadSession.deleteOne({ _id: session._id });
+      }
+    },
+  ],
+  [
+    "account",
+    async (userId) => {
+      await Session.deleteMany({ user: userId });
+      await ApiKey.deleteMany({ user: userId });
+      await SecurityEvent.deleteMany({ user: userId });
+      await UsernameHistory.deleteMany({ user: userId });
+      await SearchHistory.deleteMany({ user: userId });
+      await ViewEvent.deleteMany({ viewer: userId });
+      await Relationship.deleteMany({
+        $or: [{ user: userId }, { target: userId }],
+      });
+      await Video.updateMany(
+        { sharedWith: userId },
+        { $pull: { sharedWith: userId } }
+      );
+      await User.deleteOne({ _id: userId });
+    },
+  ],
+];
+
+const runDeletion = async (job) => {
+  for (const [name, step] of steps) {
+    if (job.completedSteps.includes(name)) continue;
+
+    await step(job.user);
+
+    job.completedSteps.push(name);
+    job.lockedUntil = new Date(Date.now() + LOCK_MS);
+    await job.save();
+  }
+
+  job.status = "completed";
+  job.completedAt = new Date();
+  job.lockedUntil = undefined;
+  await job.save();
+};
+
+/**
+ * Run every account deletion whose grace period is over
+ */
+export const processAccountDeletions = async () => {
+  for (;;) {
+    const now = new Date();
+
+    // claiming with a lock keeps other instances off the same job
+    const job = await AccountDeletion.findOneAndUpdate(
+      {
+        status: { $in: ["scheduled", "running"] },
+        scheduledFor: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          status: "running",
+          lockedUntil: new Date(now.getTime() + LOCK_MS),
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+
+    if (!job) return;
+
+    try {
+      await runDeletion(job);
+      console.log(`Account ${job.user} deleted🌞`);
+    } catch (error) {
+      console.error(
+        `Error while deleting account ${job.user} ${error}`
+      );
+      await AccountDeletion.updateOne(
+        { _id: job._id },
+        { $set: { lastError: error.message } }
+      );
+      // the lock stays so the failed job is retried on a later tick
+      return;
+    }
+  }
+};
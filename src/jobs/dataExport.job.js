@@ -0,0 +1,209 @@
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import archiver from "archiver";
+import DataExport from "../models/dataExport.model.js";
+import User from "../models/user.model.js";
+import Video from "../models/video.model.js";
+import Tweet from "../models/tweet.model.js";
+import Comment from "../models/comment.model.js";
+import Like from "../models/like.model.js";
+import Subscription from "../models/subscription.model.js";
+import Playlist from "../models/playlist.model.js";
+import Session from "../models/session.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
+import Relationship from "../models/relationship.model.js";
+import UsernameHistory from "../models/usernameHistory.model.js";
+import SearchHistory from "../models/searchHistory.model.js";
+import ViewEvent from "../models/viewEvent.model.js";
+import {
+  watchHistoryPipeline,
+  likedVideosPipeline,
+} from "../utils/index.js";
+
+const LOCK_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+export const exportDir = () =>
+  path.resolve(process.env.EXPORT_DIR || "./exports");
+
+/**
+ * Everything we hold about a user, keyed by file name in the archive
+ */
+const collectUserData = async (userId) => {
+  const [
+    profile,
+    watchHistory,
+    videos,
+    tweets,
+    comments,
+    likes,
+    likedVideos,
+    subscribedTo,
+    subscribers,
+    playlists,
+    sessions,
+    securityEvents,
+    relationships,
+    usernameHistory,
+    searchHistory,
+    viewEvents,
+  ] = await Promise.all([
+    User.findById(userId).select("-password -watchHistory").lean(),
+    User.aggregate(watchHistoryPipeline(userId)),
+    Video.find({ owner: userId }).lean(),
+    Tweet.find({ owner: userId }).lean(),
+    Comment.find({ owner: userId }).lean(),
+    Like.find({ likedBy: userId }).lean(),
+    Like.aggregate(likedVideosPipeline(userId)),
+    Subscription.find({ subscriber: userId })
+      .populate("channel", "username fullName")
+      .lean(),
+    Subscription.find({ channel: userId })
+      .populate("subscriber", "username fullName")
+      .lean(),
+    Playlist.find({ owner: userId }).lean(),
+    Session.find({ user: userId }).lean(),
+    SecurityEvent.find({ user: userId }).lean(),
+    Relationship.find({ user: userId })
+      .populate("target", "username fullName")
+      .lean(),
+    UsernameHistory.find({ user: userId }).lean(),
+    SearchHistory.find({ user: userId })
+      .sort({ searchedAt: -1 })
+      .lean(),
+    ViewEvent.find({ viewer: userId })
+      .select("video watchedSeconds createdAt")
+      .lean(),
+  ]);
+
+  return {
+    "profile.json": profile,
+    "watch-history.json": watchHistory[0]?.watchHistory || [],
+    "videos.json": videos,
+    "tweets.json": tweets,
+    "comments.json": comments,
+    "likes.json": { likes, likedVideos },
+    "subscriptions.json": { subscribedTo, subscribers },
+    "playlists.json": playlists,
+    "sessions.json": sessions,
+    "security-events.json": securityEvents,
+    "blocks-and-mutes.json": relationships,
+    "username-history.json": usernameHistory,
+    "search-history.json": searchHistory,
+    "views.json": viewEvents,
+  };
+};
+
+const buildArchive = async (dataExport) => {
+  const files = await collectUserData(dataExport.user);
+
+  const dir = exportDir();
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const filePath = path.join(dir, `${dataExport._id}.zip`);
+  const partialPath = `${filePath}.part`;
+
+  const output = fs.createWriteStream(partialPath);
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const closed = once(output, "close");
+  archive.pipe(output);
+
+  for (const [name, data] of Object.entries(files)) {
+    archive.append(JSON.stringify(data, null, 2), { name });
+  }
+
+  await archive.finalize();
+  await closed;
+
+  // a half written archive is never visible under the final name
+  await fs.promises.rename(partialPath, filePath);
+  const { size } = await fs.promises.stat(filePath);
+
+  return { filePath, size };
+};
+
+/**
+ * Remove archives past their retention period
+ */
+const expireDataExports = async () => {
+  const expired = await DataExport.find({
+    status: "ready",
+    expiresAt: { $lte: new Date() },
+  }).select("+filePath");
+
+  for (const dataExport of expired) {
+    await fs.promises.rm(dataExport.filePath, { force: true });
+    dataExport.status = "expired";
+    dataExport.filePath = undefined;
+    await dataExport.save();
+  }
+};
+
+/**
+ * Build every pending data export archive
+ */
+export const processDataExports = async () => {
+  await expireDataExports();
+
+  for (;;) {
+    const now = new Date();
+
+    const dataExport = await DataExport.findOneAndUpdate(
+      {
+        status: { $in: ["pending", "processing"] },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          status: "processing",
+          lockedUntil: new Date(now.getTime() + LOCK_MS),
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { createdAt: 1 } }
+    );
+
+    if (!dataExport) return;
+
+    try {
+      const { filePath, size } = await buildArchive(dataExport);
+      const retentionHours =
+        Number(process.env.EXPORT_RETENTION_HOURS) || 48;
+
+      await DataExport.updateOne(
+        { _id: dataExport._id },
+        {
+          $set: {
+            status: "ready",
+            filePath,
+            fileSize: size,
+            completedAt: new Date(),
+            expiresAt: new Date(
+              Date.now() + retentionHours * 60 * 60 * 1000
+            ),
+          },
+          $unset: { lockedUntil: 1, error: 1 },
+        }
+      );
+    } catch (error) {
+      console.error(
+        `Error while building data export ${dataExport._id} ${error}`
+      );
+      const failed = dataExport.attempts >= MAX_ATTEMPTS;
+      await DataExport.updateOne(
+        { _id: dataExport._id },
+        {
+          $set: {
+            status: failed ? "failed" : "pending",
+            error: error.message,
+            // back off before the next attempt
+            lockedUntil: new Date(Date.now() + 60 * 1000),
+          },
+        }
+      );
+    }
+  }
+};
@@ -0,0 +1,74 @@
+import { processAccountDeletions } from "./accountDeletion.job.js";
+import { processDataExports } from "./dataExport.job.js";
+import { expireUploadSessions } from "./uploadCleanup.job.js";
+import { processVideos } from "./videoProcessing.job.js";
+import { publishScheduledVideos } from "./videoPublishing.job.js";
+
+const jobs = [
+  {
+    name: "account-deletion",
+    run: processAccountDeletions,
+    intervalMs: 60 * 1000,
+  },
+  {
+    name: "data-export",
+    run: processDataExports,
+    intervalMs: 30 * 1000,
+  },
+  {
+    name: "video-processing",
+    run: processVideos,
+    intervalMs: 30 * 1000,
+  },
+  {
+    name: "video-publishing",
+    run: publishScheduledVideos,
+    intervalMs: 30 * 1000,
+  },
+  {
+    name: "upload-cleanup",
+    run: expireUploadSessions,
+    intervalMs: 15 * 60 * 1000,
+  },
+];
+
+const running = new Set();
+
+// a run is skipped while the previous run of the same job is busy
+const runJob = async (job) => {
+  if (running.has(job.name)) return;
+  running.add(job.name);
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Error while running job ${job.name} ${error}`);
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+/**
+ * Poll every background job on its own interval
+ */
+export const startJobs = () => {
+  if (process.env.DISABLE_JOBS === "true") return;
+
+  for (const job of jobs) {
+    setInterval(() => runJob(job), job.intervalMs).unref();
+    runJob(job);
+  }
+};
+
+/**
+ * Run a job now instead of at its next tick, a run that is already
+ * busy picks up the new work itself
+ */
+export const triggerJob = (name) => {
+  if (process.env.DISABLE_JOBS === "true") return;
+
+  const job = jobs.find((candidate) => candidate.name === name);
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+  runJob(job);
+};
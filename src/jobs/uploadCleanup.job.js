@@ -0,0 +1,28 @@
+import fs from "fs";
+import path from "path";
+import UploadSession from "../models/uploadSession.model.js";
+
+export const uploadDir = () =>
+  path.resolve(process.env.UPLOAD_DIR || "./uploads");
+
+export const uploadPartPath = (uploadId) =>
+  path.join(uploadDir(), `${uploadId}.part`);
+
+/**
+ * Remove upload sessions past their expiry together with their bytes
+ */
+export const expireUploadSessions = async () => {
+  const now = new Date();
+
+  const expired = await UploadSession.find({
+    expiresAt: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  }).limit(100);
+
+  for (const session of expired) {
+    await fs.promises.rm(uploadPartPath(session._id), {
+      force: true,
+    });
+    await UploadSession.deleteOne({ _id: session._id });
+  }
+};
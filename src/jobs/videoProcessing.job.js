@@ -0,0 +1,240 @@
+import fs from "fs";
+import path from "path";
+import Video from "../models/video.model.js";
+import {
+  storeFile,
+  removeStoredFile,
+  moveFile,
+  getMediaAdapter,
+} from "../utils/index.js";
+
+const LOCK_MS = 30 * 60 * 1000;
+// renewed well before it runs out, transcodes can outlast it
+const LOCK_RENEW_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const RENDITION_HEIGHTS = [1080, 720, 480, 360];
+
+export const processingDir = () =>
+  path.resolve(process.env.PROCESSING_DIR || "./processing");
+
+export const processingSourcePath = (sourceFile) =>
+  path.join(processingDir(), path.basename(sourceFile));
+
+/**
+ * Move an uploaded file into the processing directory, resolves to
+ * the name to keep on the video
+ */
+export const queueVideoSource = async (
+  videoId,
+  file,
+  originalName
+) => {
+  const extension =
+    path.extname(originalName || file).toLowerCase() || ".mp4";
+  const sourceFile = `${videoId}${extension}`;
+
+  await fs.promises.mkdir(processingDir(), { recursive: true });
+  await moveFile(file, processingSourcePath(sourceFile));
+  return sourceFile;
+};
+
+// storeFile consumes its input, the source has to survive a failure
+const linkOrCopy = async (from, to) => {
+  try {
+    await fs.promises.link(from, to);
+  } catch (error) {
+    await fs.promises.copyFile(from, to);
+  }
+};
+
+const processVideo = async (video) => {
+  const source = processingSourcePath(video.processing.sourceFile);
+  const workDir = path.join(processingDir(), `${video._id}-work`);
+  const adapter = getMediaAdapter();
+  // files stored by this attempt, dropped again when it fails
+  const stored = [];
+
+  const keep = (file, resourceType) => {
+    if (!file?.url) {
+      throw new Error(`Could not store the ${resourceType}`);
+    }
+    stored.push([file.key, resourceType]);
+    return file;
+  };
+
+  await fs.promises.mkdir(workDir, { recursive: true });
+
+  try {
+    const metadata = await adapter.probe(source);
+    const update = {
+      duration: Math.round(metadata.duration || 0),
+      metadata: {
+        width: metadata.width,
+        height: metadata.height,
+        videoCodec: metadata.videoCodec,
+        audioCodec: metadata.audioCodec,
+        bitrate: metadata.bitrate,
+        format: metadata.format,
+      },
+    };
+
+    if (!video.thumbnail) {
+      const output = path.join(workDir, "thumbnail.jpg");
+      await adapter.generateThumbnail(source, output, {
+        atSeconds: Math.floor(update.duration * 0.1),
+      });
+
+      const thumbnail = keep(await storeFile(output), "image");
+      update.thumbnail = thumbnail.url;
+      update.thumbnailKey = thumbnail.key;
+    }
+
+    update.renditions = [];
+    for (const height of RENDITION_HEIGHTS) {
+      if (!metadata.height || height >= metadata.height) continue;
+
+      const output = path.join(workDir, `${height}p.mp4`);
+      await adapter.transcode(source, output, { height });
+
+      const rendition = keep(
+        await storeFile(output, { resourceType: "video" }),
+        "video"
+      );
+      update.renditions.push({
+        label: `${height}p`,
+        height,
+        url: rendition.url,
+        key: rendition.key,
+        bytes: rendition.bytes,
+      });
+    }
+
+    const original = path.join(
+      workDir,
+      `original${path.extname(source)}`
+    );
+    await linkOrCopy(source, original);
+    const videoFile = keep(
+      await storeFile(original, { resourceType: "video" }),
+      "video"
+    );
+    update.videoFile = videoFile.url;
+    update.videoFileKey = videoFile.key;
+
+    const { modifiedCount } = await Video.updateOne(
+      { _id: video._id, status: "processing" },
+      {
+        $set: {
+          ...update,
+          status: "ready",
+          "processing.completedAt": new Date(),
+        },
+        $unset: {
+          "processing.sourceFile": 1,
+          "processing.lockedUntil": 1,
+          "processing.error": 1,
+        },
+      }
+    );
+
+    // the video was deleted while it was processed
+    if (!modifiedCount) {
+      throw new Error("The video is gone");
+    }
+
+    await fs.promises.rm(source, { force: true });
+  } catch (error) {
+    for (const [key, resourceType] of stored) {
+      await removeStoredFile(key, { resourceType });
+    }
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Probe, thumbnail and transcode every video waiting for processing
+ */
+export const processVideos = async () => {
+  // a worker that died on the last attempt never marked the failure
+  await Video.updateMany(
+    {
+      status: "processing",
+      "processing.attempts": { $gte: MAX_ATTEMPTS },
+      "processing.lockedUntil": { $lte: new Date() },
+    },
+    {
+      $set: {
+        status: "failed",
+        "processing.error": "Processing did not finish",
+      },
+    }
+  );
+
+  for (;;) {
+    const now = new Date();
+
+    const video = await Video.findOneAndUpdate(
+      {
+        status: "processing",
+        "processing.attempts": { $lt: MAX_ATTEMPTS },
+        $or: [
+          { "processing.lockedUntil": null },
+          { "processing.lockedUntil": { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          "processing.lockedUntil": new Date(now.getTime() + LOCK_MS),
+          "processing.startedAt": now,
+        },
+        $inc: { "processing.attempts": 1 },
+      },
+      { new: true, sort: { createdAt: 1 } }
+    ).select("+processing.sourceFile");
+
+    if (!video) return;
+
+    const renewLock = setInterval(() => {
+      Video.updateOne(
+        { _id: video._id, status: "processing" },
+        {
+          $set: {
+            "processing.lockedUntil": new Date(Date.now() + LOCK_MS),
+          },
+        }
+      ).catch((error) =>
+        console.error(
+          `Error while renewing the lock of video ${video._id} ${error}`
+        )
+      );
+    }, LOCK_RENEW_MS);
+
+    try {
+      await processVideo(video).finally(() =>
+        clearInterval(renewLock)
+      );
+    } catch (error) {
+      console.error(
+        `Error while processing video ${video._id} ${error}`
+      );
+      const { attempts } = video.processing;
+
+      await Video.updateOne(
+        { _id: video._id, status: "processing" },
+        {
+          $set: {
+            status:
+              attempts >= MAX_ATTEMPTS ? "failed" : "processing",
+            "processing.error": error.message,
+            // back off a little longer after every attempt
+            "processing.lockedUntil": new Date(
+              Date.now() + attempts * 60 * 1000
+            ),
+          },
+        }
+      );
+    }
+  }
+};
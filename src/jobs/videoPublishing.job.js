@@ -0,0 +1,13 @@
+import Video from "../models/video.model.js";
+
+/**
+ * Publish every video whose scheduled time has come
+ * The filter only matches unpublished videos, so instances running
+ * this at the same time cannot publish a video twice
+ */
+export const publishScheduledVideos = async () => {
+  await Video.updateMany(
+    { isPublished: false, publishAt: { $lte: new Date() } },
+    { $set: { isPublished: true }, $unset: { publishAt: 1 } }
+  );
+};
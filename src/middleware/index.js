@@ -1,4 +1,22 @@
 import { upload } from "./multer.middleware.js";
-import { verifyJwt } from "./verifyJwt.middleware.js";
+import { verifyJwt, optionalAuth } from "./verifyJwt.middleware.js";
+import { requireVerifiedEmail } from "./requireVerifiedEmail.middleware.js";
+import {
+  requireRole,
+  requirePermission,
+} from "./requireRole.middleware.js";
+import { rateLimit } from "./rateLimit.middleware.js";
+import { serveLocalMedia } from "./localMedia.middleware.js";
+import { tusProtocol } from "./tus.middleware.js";
 
-export { upload, verifyJwt };
+export {
+  upload,
+  verifyJwt,
+  optionalAuth,
+  requireVerifiedEmail,
+  requireRole,
+  requirePermission,
+  rateLimit,
+  serveLocalMedia,
+  tusProtocol,
+};
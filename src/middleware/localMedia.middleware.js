@@ -0,0 +1,48 @@
+import path from "path";
+import express from "express";
+import { ApiError } from "../utils/index.js";
+import {
+  localStorageDir,
+  verifyLocalSignature,
+} from "../utils/storage/index.js";
+
+let serveStatic;
+
+const storageKeyOfPath = (requestPath) => {
+  try {
+    return path.posix
+      .normalize(decodeURIComponent(requestPath))
+      .replace(/^\/+/, "");
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Serve the files of the local storage provider, the directory is
+ * resolved on the first request once the env is loaded. Signed urls are
+ * checked, and videos are refused without one
+ */
+export const serveLocalMedia = (req, res, next) => {
+  const key = storageKeyOfPath(req.path);
+
+  if (key === null) {
+    return next(new ApiError(400, "Invalid media path"));
+  }
+
+  if (req.query.signature !== undefined || req.query.expires) {
+    if (!verifyLocalSignature(key, req.query)) {
+      return next(new ApiError(403, "Invalid or expired media url"));
+    }
+  } else if (key.toLowerCase().startsWith("videos/")) {
+    return next(new ApiError(403, "Videos need a signed url"));
+  }
+
+  if (!serveStatic) {
+    serveStatic = express.static(localStorageDir(), {
+      index: false,
+      dotfiles: "deny",
+    });
+  }
+  return serveStatic(req, res, next);
+};
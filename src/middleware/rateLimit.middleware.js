@@ -0,0 +1,31 @@
+import { ApiError, getRateLimitStore } from "../utils/index.js";
+
+/**
+ * Allow at most max requests per client ip in every window
+ */
+export const rateLimit =
+  ({ name, max, windowMs }) =>
+  async (req, res, next) => {
+    try {
+      const record = await getRateLimitStore().increment(
+        `${name}:ip:${req.ip}`,
+        windowMs,
+        windowMs
+      );
+
+      if (record.count > max) {
+        const retryAfter = Math.max(
+          Math.ceil((record.resetAt.getTime() - Date.now()) / 1000),
+          1
+        );
+        res.set("Retry-After", `${retryAfter}`);
+        return next(
+          new ApiError(429, "Too many requests, try again later")
+        );
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
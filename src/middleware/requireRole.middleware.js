@@ -0,0 +1,42 @@
+import { ApiError, hasPermission } from "../utils/index.js";
+
+/**
+ * Only let users with one of the given roles through
+ * Must run after verifyJwt
+ */
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError(401, "Unauthorized request"));
+    }
+
+    if (!roles.includes(req.user.role || "user")) {
+      return next(
+        new ApiError(
+          403,
+          "You are not allowed to perform this action"
+        )
+      );
+    }
+
+    next();
+  };
+
+/**
+ * Only let users whose role grants the permission through
+ * Must run after verifyJwt
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return next(new ApiError(401, "Unauthorized request"));
+  }
+
+  if (!hasPermission(req.user, permission)) {
+    return next(
+      new ApiError(403, "You are not allowed to perform this action")
+    );
+  }
+
+  next();
+};
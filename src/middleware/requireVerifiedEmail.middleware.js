@@ -0,0 +1,20 @@
+import { ApiError } from "../utils/index.js";
+
+/**
+ * Refuse the request until the authenticated user verified their email
+ * Must run after verifyJwt
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return next(new ApiError(401, "Unauthorized request"));
+  }
+
+  // a missing value belongs to an account from before verification
+  if (req.user.emailVerified === false) {
+    return next(
+      new ApiError(403, "Please verify your email to continue")
+    );
+  }
+
+  next();
+};
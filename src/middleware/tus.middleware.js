@@ -0,0 +1,26 @@
+import { ApiError } from "../utils/index.js";
+
+const TUS_VERSION = "1.0.0";
+
+/**
+ * Headers of the tus protocol on every upload response. OPTIONS is
+ * answered by cors before it gets here, so the extensions are announced
+ * on every response too. A client asking for another version is refused
+ */
+export const tusProtocol = (req, res, next) => {
+  res.set({
+    "Tus-Resumable": TUS_VERSION,
+    "Tus-Version": TUS_VERSION,
+    "Tus-Extension": "creation,expiration,checksum,termination",
+    "Tus-Checksum-Algorithm": "sha256",
+  });
+
+  const version = req.header("Tus-Resumable");
+  if (version && version !== TUS_VERSION) {
+    return next(
+      new ApiError(412, `Only tus ${TUS_VERSION} is supported`)
+    );
+  }
+
+  next();
+};
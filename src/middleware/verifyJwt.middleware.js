@@ -1,42 +1,130 @@
 import jwt from "jsonwebtoken";
-import { asyncHandler, ApiError } from "../utils/index.js";
+import {
+  asyncHandler,
+  ApiError,
+  hashToken,
+  requiredScope,
+} from "../utils/index.js";
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import ApiKey from "../models/apiKey.model.js";
 
-export const verifyJwt = asyncHandler(async (req, res, next) => {
-  try {
-    const token =
-      req.cookies?.accessToken ||
-      req.header("Authorization")?.replace("Bearer ", "");
+const authenticateApiKey = async (req, rawKey) => {
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashToken(rawKey),
+    revokedAt: null,
+  });
 
-    // console.log("token" + token);
-    if (!token) {
-      throw new ApiError(401, "Unauthorized request");
-    }
+  if (
+    !apiKey ||
+    (apiKey.expiresAt && apiKey.expiresAt <= new Date())
+  ) {
+    throw new ApiError(401, "Invalid API key");
+  }
+
+  const scope = requiredScope(req);
 
-    jwt.verify(
-      token,
-      process.env.ACCESS_TOKEN_SECRET,
-      async (err, decoded) => {
-        if (err) {
-          if (err.name === "TokenExpiredError") {
-            return next(new ApiError(403, "Token expired"));
-          }
-          console.error("JWT verification failed:", err);
-          return next(new ApiError(403, "Unauthorized"));
-        }
-        const user = await User.findById(decoded._id);
-        // console.log(user);
-
-        if (!user) {
-          throw new ApiError(404, "User not found");
-        }
-
-        req.user = user;
-        next();
-      }
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    throw new ApiError(
+      403,
+      `API key is missing the ${scope || "required"} scope`
     );
+  }
+
+  const user = await User.findById(apiKey.user);
+
+  if (!user) {
+    throw new ApiError(401, "Invalid API key");
+  }
+
+  // avoid a write on every call of a busy script
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > 60000) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date() } }
+    );
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+};
+
+/**
+ * Resolve the user of the request from an API key or access token,
+ * throws when the credentials are missing or invalid
+ */
+const authenticate = async (req) => {
+  const authorization = req.header("Authorization");
+
+  if (authorization?.startsWith("ApiKey ")) {
+    return authenticateApiKey(req, authorization.slice(7).trim());
+  }
+
+  const token =
+    req.cookies?.accessToken || authorization?.replace("Bearer ", "");
+
+  // console.log("token" + token);
+  if (!token) {
+    throw new ApiError(401, "Unauthorized request");
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      throw new ApiError(403, "Token expired");
+    }
+    console.error("JWT verification failed:", err);
+    throw new ApiError(403, "Unauthorized");
+  }
+
+  // access tokens die with the session they were issued for
+  const session = decoded.sid
+    ? await Session.exists({
+        _id: decoded.sid,
+        user: decoded._id,
+        revokedAt: null,
+      })
+    : null;
+
+  if (!session) {
+    throw new ApiError(401, "Session expired");
+  }
+
+  const user = await User.findById(decoded._id);
+  // console.log(user);
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  req.user = user;
+  req.sessionId = decoded.sid;
+};
+
+export const verifyJwt = asyncHandler(async (req, res, next) => {
+  await authenticate(req);
+  next();
+});
+
+/**
+ * Set req.user when the request carries valid credentials, carry on
+ * as an anonymous visitor otherwise
+ */
+export const optionalAuth = asyncHandler(async (req, res, next) => {
+  if (!req.cookies?.accessToken && !req.header("Authorization")) {
+    return next();
+  }
+
+  try {
+    await authenticate(req);
   } catch (error) {
-    console.log("JWT verification failed:", error);
-    throw new ApiError(401, "Unauthorized");
+    if (!(error instanceof ApiError)) throw error;
+
+    req.user = undefined;
+    req.apiKey = undefined;
+    req.sessionId = undefined;
   }
+  next();
 });
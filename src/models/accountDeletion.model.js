@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+const accountDeletionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "running", "completed"],
+      default: "scheduled",
+    },
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+    // steps already done, a crashed run resumes after the last one
+    completedSteps: [String],
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+    lastError: String,
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+accountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+
+export default mongoose.model(
+  "AccountDeletion",
+  accountDeletionSchema
+);
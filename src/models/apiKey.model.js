@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please add a name"],
+      trim: true,
+    },
+    // shown in listings so keys can be told apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: [String],
+    expiresAt: Date,
+    lastUsedAt: Date,
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed", "expired"],
+      default: "pending",
+    },
+    filePath: {
+      type: String,
+      select: false,
+    },
+    fileSize: Number,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+    error: String,
+    completedAt: Date,
+    expiresAt: Date,
+  },
+  { timestamps: true }
+);
+
+dataExportSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model("DataExport", dataExportSchema);
@@ -26,4 +26,9 @@ const playlistSchema = new mongoose.Schema(
   }
 );
 
+playlistSchema.index(
+  { name: "text", description: "text" },
+  { weights: { name: 5, description: 1 } }
+);
+
 export default mongoose.model("Playlist", playlistSchema);
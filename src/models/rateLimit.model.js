@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: Date,
+  // how often the key was locked, each lockout lasts longer
+  lockouts: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: Date,
+  expiresAt: Date,
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RateLimit", rateLimitSchema);
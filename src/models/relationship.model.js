@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+const relationshipSchema = new mongoose.Schema(
+  {
+    // the user who blocked or muted
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["block", "mute"],
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+relationshipSchema.index(
+  { user: 1, type: 1, target: 1 },
+  { unique: true }
+);
+
+export default mongoose.model("Relationship", relationshipSchema);
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+const searchHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // normalized with searchTerms, so repeats share one entry
+    query: {
+      type: String,
+      required: true,
+    },
+    searchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+searchHistorySchema.index({ user: 1, query: 1 }, { unique: true });
+searchHistorySchema.index({ user: 1, searchedAt: -1 });
+
+export default mongoose.model("SearchHistory", searchHistorySchema);
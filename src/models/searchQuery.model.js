@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// how many distinct searchers a query had, each counted once per
+// window, feeds suggestions
+const searchQuerySchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    lastSearchedAt: Date,
+  },
+  { timestamps: true }
+);
+
+searchQuerySchema.index({ count: -1 });
+
+export default mongoose.model("SearchQuery", searchQuerySchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// who searched a query in a window, so a query counts every searcher
+// once per window however often they repeat it
+const searchQuerySearcherSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+  },
+  // hash of "user:<id>", only signed in searchers are counted
+  searcherKey: {
+    type: String,
+    required: true,
+  },
+  windowStart: {
+    type: Date,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+});
+
+searchQuerySearcherSchema.index(
+  { query: 1, searcherKey: 1, windowStart: 1 },
+  { unique: true }
+);
+
+export default mongoose.model(
+  "SearchQuerySearcher",
+  searchQuerySearcherSchema
+);
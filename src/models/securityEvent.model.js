@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    ip: String,
+    userAgent: String,
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("SecurityEvent", securityEventSchema);
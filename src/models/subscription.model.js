@@ -10,8 +10,16 @@ const subscriptionSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // pending until the owner of a private channel approves it
+    status: {
+      type: String,
+      enum: ["active", "pending"],
+      default: "active",
+    },
   },
   { timestamps: true }
 );
 
+subscriptionSchema.index({ channel: 1, status: 1 });
+
 export default mongoose.model("Subscription", subscriptionSchema);
@@ -14,4 +14,6 @@ const tweetSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+tweetSchema.index({ text: "text" });
+
 export default mongoose.model("Tweet", tweetSchema);
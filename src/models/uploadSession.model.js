@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    // total length of the file in bytes
+    size: {
+      type: Number,
+      required: true,
+    },
+    // bytes received so far, the next chunk has to start here
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    // optional sha256 of the whole file, hex encoded
+    checksum: String,
+    status: {
+      type: String,
+      enum: ["uploading", "finalizing", "completed"],
+      default: "uploading",
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    // held while a chunk is written or the upload is finalized
+    lockedUntil: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.index({ expiresAt: 1 });
+
+export default mongoose.model("UploadSession", uploadSessionSchema);
@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 
 const userSchema = new mongoose.Schema(
   {
@@ -21,6 +22,15 @@ const userSchema = new mongoose.Schema(
       ],
       required: [true, "Please add an email"],
     },
+    // no default, accounts from before verification existed have no
+    // value and count as verified
+    emailVerified: Boolean,
+    emailVerifiedAt: Date,
+    role: {
+      type: String,
+      enum: ["user", "creator", "moderator", "admin"],
+      default: "user",
+    },
     fullName: {
       type: String,
       required: [true, "Please add a full Name"],
@@ -29,29 +39,132 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: [true, "Please add an avatar"],
     },
+    // keys of the files with the storage provider
+    avatarKey: String,
     coverImage: {
       type: String,
       default:
         "https://images.unsplash.com/photo-1545486332-9e0999c535b2?q=80&w=1374&auto=format&fit=crop&ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
     },
+    coverImageKey: String,
     password: {
       type: String,
       minLength: [6, "Password must be at least 6 characters"],
-      required: [true, "Please add a password"],
+      // accounts created through a login provider have no password
+      required: [
+        function () {
+          return !this.identities?.length;
+        },
+        "Please add a password",
+      ],
     },
+    identities: [
+      {
+        provider: {
+          type: String,
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     watchHistory: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "videos",
       },
     ],
-    refreshToken: String,
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
+    privacy: {
+      hideSubscribers: {
+        type: Boolean,
+        default: false,
+      },
+      hideSubscriptions: {
+        type: Boolean,
+        default: false,
+      },
+      // liked videos were never shown to others, keep that the default
+      hideLikedVideos: {
+        type: Boolean,
+        default: true,
+      },
+      // pauses the watch history, for devices shared with others
+      hideWatchHistory: {
+        type: Boolean,
+        default: false,
+      },
+      // subscribing needs the approval of the owner
+      privateChannel: {
+        type: Boolean,
+        default: false,
+      },
+      // searches are not added to the search history
+      pauseSearchHistory: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    deletionScheduledFor: Date,
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      "identities.subject": { $exists: true },
+    },
+  }
+);
+
+// no stemming, handles are not english words
+userSchema.index(
+  { username: "text", fullName: "text" },
+  { weights: { username: 5, fullName: 3 }, default_language: "none" }
+);
+
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
 
@@ -63,13 +176,15 @@ userSchema.pre("save", async function (next) {
 userSchema.methods.isPasswordMatched = async function (
   enteredPassword
 ) {
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-userSchema.methods.generateAccessToken = function () {
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
       username: this.username,
       fullName: this.fullName,
       email: this.email,
@@ -81,16 +196,64 @@ userSchema.methods.generateAccessToken = function () {
   );
 };
 
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
       expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+      jwtid: crypto.randomUUID(),
+    }
+  );
+};
+
+userSchema.methods.generateEmailVerificationToken = function () {
+  return jwt.sign(
+    {
+      _id: this._id,
+      email: this.email,
+      purpose: "email-verification",
+    },
+    process.env.EMAIL_VERIFICATION_TOKEN_SECRET,
+    {
+      expiresIn: process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY || "1d",
+    }
+  );
+};
+
+userSchema.methods.generateTwoFactorChallengeToken = function () {
+  return jwt.sign(
+    {
+      _id: this._id,
+      purpose: "2fa-challenge",
+    },
+    process.env.TWO_FACTOR_CHALLENGE_SECRET,
+    {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m",
     }
   );
 };
 
+userSchema.methods.generatePasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  // only the hash is persisted, the raw token goes out by email
+  this.passwordResetToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.passwordResetExpires = new Date(
+    Date.now() +
+      (Number(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) ||
+        15) *
+        60 *
+        1000
+  );
+
+  return resetToken;
+};
+
 export default mongoose.model("User", userSchema);
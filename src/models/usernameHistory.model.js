@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+const usernameHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // the handle the user gave up
+    username: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      index: true,
+    },
+    // nobody else can register the handle before this
+    reservedUntil: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model(
+  "UsernameHistory",
+  usernameHistorySchema
+);
@@ -1,16 +1,24 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
 
+// files only exist once processing finished
+function isProcessed() {
+  return !["processing", "failed"].includes(this.status);
+}
+
 const videoSchema = new mongoose.Schema(
   {
     videoFile: {
       type: String,
-      required: [true, "Please add a video file"],
+      required: [isProcessed, "Please add a video file"],
     },
+    // keys of the files with the storage provider
+    videoFileKey: String,
     thumbnail: {
       type: String,
-      required: [true, "Please add a thumbnail"],
+      required: [isProcessed, "Please add a thumbnail"],
     },
+    thumbnailKey: String,
     title: {
       type: String,
       required: [true, "Please add a title"],
@@ -19,9 +27,10 @@ const videoSchema = new mongoose.Schema(
       type: String,
       required: [true, "Please add a description"],
     },
+    // not every storage provider can tell the duration
     duration: {
       type: Number,
-      required: true,
+      default: 0,
     },
     views: {
       type: Number,
@@ -31,14 +40,93 @@ const videoSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // an unpublished video goes public on its own at this time
+    publishAt: Date,
+    visibility: {
+      type: String,
+      enum: ["public", "unlisted", "private", "members"],
+      default: "public",
+    },
+    // normalized with normalizeTag
+    tags: [String],
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    // users a private video is shared with
+    sharedWith: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     owner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // videos from before processing existed count as ready
+    status: {
+      type: String,
+      enum: ["processing", "ready", "failed"],
+      default: "ready",
+    },
+    processing: {
+      // name of the uploaded file in the processing directory
+      sourceFile: {
+        type: String,
+        select: false,
+      },
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      lockedUntil: Date,
+      error: String,
+      startedAt: Date,
+      completedAt: Date,
+    },
+    metadata: {
+      width: Number,
+      height: Number,
+      videoCodec: String,
+      audioCodec: String,
+      bitrate: Number,
+      format: String,
+    },
+    renditions: [
+      {
+        label: String,
+        height: Number,
+        url: String,
+        key: String,
+        bytes: Number,
+      },
+    ],
   },
   { timestamps: true }
 );
 
+videoSchema.index({ status: 1, "processing.lockedUntil": 1 });
+videoSchema.index({ isPublished: 1, publishAt: 1 });
+videoSchema.index({ tags: 1, createdAt: -1 });
+videoSchema.index({ category: 1, createdAt: -1 });
+videoSchema.index(
+  { title: "text", tags: "text", description: "text" },
+  { weights: { title: 10, tags: 5, description: 1 } }
+);
+
+/**
+ * Filter for videos that may show up in listings
+ */
+videoSchema.statics.listedFilter = function () {
+  return {
+    isPublished: true,
+    // videos from before visibility existed are public
+    visibility: { $in: [null, "public"] },
+    status: { $nin: ["processing", "failed"] },
+  };
+};
+
 videoSchema.plugin(mongoosePaginate);
 
 export default mongoose.model("Video", videoSchema);
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+const videoShareTokenSchema = new mongoose.Schema(
+  {
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    // shown in listings so links can be told apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    revokedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model(
+  "VideoShareToken",
+  videoShareTokenSchema
+);
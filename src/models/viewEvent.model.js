@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const viewEventSchema = new mongoose.Schema(
+  {
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // "user:<id>" or "anon:<hash of the ip>"
+    viewerKey: {
+      type: String,
+      required: true,
+    },
+    // when the view was counted, no other view of the viewer counts
+    // for a window from then
+    windowStart: {
+      type: Date,
+      required: true,
+    },
+    // random id of the playback token, one view per playback
+    playbackId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    watchedSeconds: Number,
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+viewEventSchema.index(
+  { video: 1, viewerKey: 1, windowStart: 1 },
+  { unique: true }
+);
+viewEventSchema.index({ viewer: 1 });
+
+export default mongoose.model("ViewEvent", viewEventSchema);
@@ -0,0 +1,45 @@
+import express from "express";
+import {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from "../controllers/category.controller.js";
+import { verifyJwt, requirePermission } from "../middleware/index.js";
+
+/**
+ * Category routes
+ */
+const router = express.Router();
+
+/**
+ * Get the categories
+ * Create a category
+ */
+router
+  .route("/")
+  .get(getCategories)
+  .post(
+    verifyJwt,
+    requirePermission("categories:manage"),
+    createCategory
+  );
+
+/**
+ * Update a category
+ * Delete a category
+ */
+router
+  .route("/:categoryId")
+  .patch(
+    verifyJwt,
+    requirePermission("categories:manage"),
+    updateCategory
+  )
+  .delete(
+    verifyJwt,
+    requirePermission("categories:manage"),
+    deleteCategory
+  );
+
+export default router;
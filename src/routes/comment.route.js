@@ -1,5 +1,9 @@
 import express from "express";
-import { verifyJwt } from "../middleware/index.js";
+import {
+  verifyJwt,
+  optionalAuth,
+  requireVerifiedEmail,
+} from "../middleware/index.js";
 import {
   createComment,
   deleteComment,
@@ -12,24 +16,22 @@ import {
  */
 const router = express.Router();
 
-/**
- * Verify JWT middleware
- */
-router.use(verifyJwt);
-
 /**
  * Delete a comment
  * Update a comment
  */
 router
   .route("/:commentId")
-  .delete(deleteComment)
-  .patch(updateComment);
+  .delete(verifyJwt, deleteComment)
+  .patch(verifyJwt, updateComment);
 
 /**
  * Create a new comment for a video
  * Get comments for a video
  */
-router.route("/:videoId").post(createComment).get(getVideoComment);
+router
+  .route("/:videoId")
+  .post(verifyJwt, requireVerifiedEmail, createComment)
+  .get(optionalAuth, getVideoComment);
 
 export default router;
@@ -5,6 +5,7 @@ import {
   toggleTweetLike,
   getAllTheLikedVideos,
   getAllLikedTweets,
+  getUserLikedVideos,
 } from "../controllers/like.controller.js";
 import { verifyJwt } from "../middleware/index.js";
 
@@ -16,6 +17,8 @@ router.route("/").get(getAllTheLikedVideos);
 
 router.route("/tweets").get(getAllLikedTweets);
 
+router.route("/user/:userId").get(getUserLikedVideos);
+
 router.route("/:videoId").post(toggleVideoLike);
 
 router.route("/comment/:commentId").post(toggleCommentLike);
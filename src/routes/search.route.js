@@ -0,0 +1,66 @@
+import express from "express";
+import {
+  search,
+  suggest,
+  getSearchHistory,
+  deleteSearchHistoryEntry,
+  clearSearchHistory,
+  pauseSearchHistory,
+} from "../controllers/search.controller.js";
+import {
+  verifyJwt,
+  optionalAuth,
+  rateLimit,
+} from "../middleware/index.js";
+
+/**
+ * Search routes
+ */
+const router = express.Router();
+
+/**
+ * Search videos, tweets, channels and playlists
+ */
+router
+  .route("/")
+  .get(
+    rateLimit({ name: "search", max: 60, windowMs: 60 * 1000 }),
+    optionalAuth,
+    search
+  );
+
+/**
+ * Complete a search while it is typed
+ */
+router.route("/suggest").get(
+  rateLimit({
+    name: "search-suggest",
+    max: 120,
+    windowMs: 60 * 1000,
+  }),
+  optionalAuth,
+  suggest
+);
+
+/**
+ * Get the search history
+ * Clear the search history
+ */
+router
+  .route("/history")
+  .get(verifyJwt, getSearchHistory)
+  .delete(verifyJwt, clearSearchHistory);
+
+/**
+ * Pause or resume the search history
+ */
+router.route("/history/pause").patch(verifyJwt, pauseSearchHistory);
+
+/**
+ * Remove a search from the history
+ */
+router
+  .route("/history/:entryId")
+  .delete(verifyJwt, deleteSearchHistoryEntry);
+
+export default router;
@@ -4,6 +4,9 @@ import {
   toggleSubscription,
   getUserChannelSubscribers,
   getSubscribedChannels,
+  getSubscriptionRequests,
+  approveSubscriptionRequest,
+  denySubscriptionRequest,
 } from "../controllers/subscription.controller.js";
 
 const router = express.Router();
@@ -19,5 +22,12 @@ router
 router
   .route("/subscribed-channels/:subscriberId")
   .get(getSubscribedChannels);
+router.route("/requests").get(getSubscriptionRequests);
+router
+  .route("/requests/:subscriptionId/approve")
+  .post(approveSubscriptionRequest);
+router
+  .route("/requests/:subscriptionId/deny")
+  .post(denySubscriptionRequest);
 
 export default router;
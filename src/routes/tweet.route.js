@@ -1,5 +1,9 @@
 import express from "express";
-import { verifyJwt } from "../middleware/index.js";
+import {
+  verifyJwt,
+  optionalAuth,
+  requireVerifiedEmail,
+} from "../middleware/index.js";
 import {
   createTweet,
   deleteTweet,
@@ -11,14 +15,15 @@ import {
 
 const router = express.Router();
 
-router.use(verifyJwt);
-
-router.route("/").post(createTweet).get(getAllTweets);
-router.route("/user-tweets").get(getUserTweet);
+router
+  .route("/")
+  .post(verifyJwt, requireVerifiedEmail, createTweet)
+  .get(optionalAuth, getAllTweets);
+router.route("/user-tweets").get(verifyJwt, getUserTweet);
 router
   .route("/:tweetId")
-  .delete(deleteTweet)
-  .patch(updateTweet)
-  .get(getTweetById);
+  .delete(verifyJwt, deleteTweet)
+  .patch(verifyJwt, updateTweet)
+  .get(optionalAuth, getTweetById);
 
 export default router;
@@ -0,0 +1,53 @@
+import express from "express";
+import {
+  verifyJwt,
+  upload,
+  requireVerifiedEmail,
+  tusProtocol,
+} from "../middleware/index.js";
+import {
+  createUpload,
+  getUpload,
+  getUploadOffset,
+  uploadChunk,
+  finalizeUpload,
+  deleteUpload,
+} from "../controllers/upload.controller.js";
+
+/**
+ * Resumable upload routes
+ */
+const router = express.Router();
+
+router.use(tusProtocol, verifyJwt);
+
+/**
+ * Start a resumable upload
+ */
+router.route("/").post(requireVerifiedEmail, createUpload);
+
+/**
+ * Get the offset of an upload
+ * Get the status of an upload
+ * Append a chunk to an upload
+ * Abandon an upload
+ */
+router
+  .route("/:uploadId")
+  .head(getUploadOffset)
+  .get(getUpload)
+  .patch(uploadChunk)
+  .delete(deleteUpload);
+
+/**
+ * Turn a complete upload into a video draft
+ */
+router
+  .route("/:uploadId/finalize")
+  .post(
+    requireVerifiedEmail,
+    upload.fields([{ name: "thumbnail", maxCount: 1 }]),
+    finalizeUpload
+  );
+
+export default router;
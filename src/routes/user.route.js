@@ -11,8 +11,56 @@ import {
   updateUserCoverImage,
   getUserChannelProfile,
   getWatchHistory,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  updateUserRole,
+  updatePrivacySettings,
+  deleteAccount,
+  restoreAccount,
 } from "../controllers/user.controller.js";
-import { upload, verifyJwt } from "../middleware/index.js";
+import {
+  getMySessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../controllers/session.controller.js";
+import {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  loginWithTwoFactor,
+} from "../controllers/twoFactor.controller.js";
+import {
+  requestDataExport,
+  getDataExport,
+} from "../controllers/dataExport.controller.js";
+import {
+  createApiKey,
+  getMyApiKeys,
+  revokeApiKey,
+} from "../controllers/apiKey.controller.js";
+import {
+  startOAuthLogin,
+  completeOAuthLogin,
+} from "../controllers/oauth.controller.js";
+import {
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  muteUser,
+  unmuteUser,
+  getMutedUsers,
+} from "../controllers/relationship.controller.js";
+import { getMySecurityEvents } from "../controllers/securityEvent.controller.js";
+import {
+  upload,
+  verifyJwt,
+  optionalAuth,
+  requirePermission,
+  rateLimit,
+} from "../middleware/index.js";
 
 const router = express.Router();
 
@@ -32,6 +80,50 @@ router.route("/register").post(
  */
 router.route("/login").post(login);
 
+/**
+ * Complete a login with a two factor code
+ */
+router.route("/login/2fa").post(loginWithTwoFactor);
+
+/**
+ * Start a login with an OpenID Connect provider
+ */
+router.route("/oauth/:provider").get(startOAuthLogin);
+
+/**
+ * Complete a login with an OpenID Connect provider
+ */
+router.route("/oauth/:provider/callback").get(completeOAuthLogin);
+
+/**
+ * Verify the email of a user
+ */
+router.route("/verify-email").post(verifyEmail);
+
+/**
+ * Resend the verification email
+ */
+router
+  .route("/resend-verification")
+  .post(verifyJwt, resendVerificationEmail);
+
+/**
+ * Send a password reset link
+ */
+router.route("/forgot-password").post(
+  rateLimit({
+    name: "forgot-password",
+    max: 5,
+    windowMs: 15 * 60 * 1000,
+  }),
+  forgotPassword
+);
+
+/**
+ * Reset the password with a reset token
+ */
+router.route("/reset-password").post(resetPassword);
+
 /**
  * Logout a user
  */
@@ -40,7 +132,58 @@ router.route("/logout").post(verifyJwt, logout);
 /**
  * Refresh an access token
  */
-router.route("/refresh-token").post(refreshAccessToken);
+router.route("/refresh-token").post(
+  rateLimit({
+    name: "refresh-token",
+    max: 60,
+    windowMs: 15 * 60 * 1000,
+  }),
+  refreshAccessToken
+);
+
+/**
+ * Get the active sessions of a user
+ */
+router.route("/sessions").get(verifyJwt, getMySessions);
+
+/**
+ * Log out every other device of a user
+ */
+router
+  .route("/sessions/logout-others")
+  .post(verifyJwt, revokeOtherSessions);
+
+/**
+ * Revoke a session of a user
+ */
+router.route("/sessions/:sessionId").delete(verifyJwt, revokeSession);
+
+/**
+ * Start two factor enrollment of a user
+ */
+router.route("/2fa/setup").post(verifyJwt, setupTwoFactor);
+
+/**
+ * Confirm two factor enrollment of a user
+ */
+router.route("/2fa/confirm").post(verifyJwt, confirmTwoFactor);
+
+/**
+ * Disable two factor authentication of a user
+ */
+router.route("/2fa/disable").post(verifyJwt, disableTwoFactor);
+
+/**
+ * Regenerate the two factor recovery codes of a user
+ */
+router
+  .route("/2fa/recovery-codes")
+  .post(verifyJwt, regenerateRecoveryCodes);
+
+/**
+ * Get the security events of a user
+ */
+router.route("/security-events").get(verifyJwt, getMySecurityEvents);
 
 /**
  * Change the current password of a user
@@ -61,6 +204,84 @@ router
   .route("/update-account-details")
   .patch(verifyJwt, updateUserAccountDetails);
 
+/**
+ * Schedule the deletion of the account of a user
+ */
+router.route("/me").delete(verifyJwt, deleteAccount);
+
+/**
+ * Cancel a scheduled account deletion
+ */
+router.route("/me/restore").post(verifyJwt, restoreAccount);
+
+/**
+ * Request an export of the data of a user
+ */
+router.route("/export").post(verifyJwt, requestDataExport);
+
+/**
+ * Get the status or the archive of a data export
+ */
+router.route("/export/:exportId").get(verifyJwt, getDataExport);
+
+/**
+ * Create an API key
+ * Get the API keys of a user
+ */
+router
+  .route("/api-keys")
+  .post(verifyJwt, createApiKey)
+  .get(verifyJwt, getMyApiKeys);
+
+/**
+ * Revoke an API key
+ */
+router.route("/api-keys/:keyId").delete(verifyJwt, revokeApiKey);
+
+/**
+ * Update the privacy settings of a user
+ */
+router.route("/privacy").patch(verifyJwt, updatePrivacySettings);
+
+/**
+ * Get the users blocked by a user
+ */
+router.route("/blocks").get(verifyJwt, getBlockedUsers);
+
+/**
+ * Block a user
+ * Unblock a user
+ */
+router
+  .route("/blocks/:userId")
+  .post(verifyJwt, blockUser)
+  .delete(verifyJwt, unblockUser);
+
+/**
+ * Get the users muted by a user
+ */
+router.route("/mutes").get(verifyJwt, getMutedUsers);
+
+/**
+ * Mute a user
+ * Unmute a user
+ */
+router
+  .route("/mutes/:userId")
+  .post(verifyJwt, muteUser)
+  .delete(verifyJwt, unmuteUser);
+
+/**
+ * Change the role of a user
+ */
+router
+  .route("/role/:userId")
+  .patch(
+    verifyJwt,
+    requirePermission("users:manage"),
+    updateUserRole
+  );
+
 /**
  * Update avatar of a user
  */
@@ -82,7 +303,7 @@ router
 /**
  * Get channel profile of a user
  */
-router.route("/c/:username").get(verifyJwt, getUserChannelProfile);
+router.route("/c/:username").get(optionalAuth, getUserChannelProfile);
 
 /**
  * Get watch history of a user
@@ -7,8 +7,31 @@ import {
   togglePublishStatus,
   getAllTheVideos,
   unisPublishedVideos,
+  streamVideo,
+  getVideoStatus,
+  retryVideoProcessing,
+  getScheduledVideos,
+  cancelScheduledPublish,
+  getVideosByTag,
+  getVideosByCategory,
+  getPopularTags,
+  recordVideoView,
 } from "../controllers/video.controller.js";
-import { verifyJwt, upload } from "../middleware/index.js";
+import {
+  updateVideoVisibility,
+  getVideoShares,
+  shareVideoWithUser,
+  unshareVideoWithUser,
+  createShareLink,
+  revokeShareLink,
+} from "../controllers/videoShare.controller.js";
+import {
+  verifyJwt,
+  optionalAuth,
+  upload,
+  requireVerifiedEmail,
+  rateLimit,
+} from "../middleware/index.js";
 
 /**
  * Video routes
@@ -18,7 +41,24 @@ const router = express.Router();
 /**
  * Get all the videos
  */
-router.route("/").get(getAllTheVideos);
+router.route("/").get(optionalAuth, getAllTheVideos);
+
+/**
+ * Get the most used tags
+ */
+router.route("/tags/popular").get(getPopularTags);
+
+/**
+ * Get the videos with a tag
+ */
+router.route("/tags/:tag").get(optionalAuth, getVideosByTag);
+
+/**
+ * Get the videos of a category
+ */
+router
+  .route("/category/:category")
+  .get(optionalAuth, getVideosByCategory);
 
 /*
 
@@ -27,6 +67,18 @@ router
   .route("/unpublished-videos")
   .get(verifyJwt, unisPublishedVideos);
 
+/**
+ * Get the videos waiting to be published
+ */
+router.route("/scheduled").get(verifyJwt, getScheduledVideos);
+
+/**
+ * Cancel the scheduled publishing of a video
+ */
+router
+  .route("/:videoId/schedule")
+  .delete(verifyJwt, cancelScheduledPublish);
+
 /**
  * Toggle publish status of a video
  */
@@ -39,6 +91,7 @@ router
  */
 router.route("/publish").post(
   verifyJwt,
+  requireVerifiedEmail,
   upload.fields([
     { name: "thumbnail", maxCount: 1 },
     { name: "videoFile", maxCount: 1 },
@@ -46,6 +99,69 @@ router.route("/publish").post(
   publishAVideo
 );
 
+/**
+ * Get the processing status of a video
+ */
+router.route("/:videoId/status").get(verifyJwt, getVideoStatus);
+
+/**
+ * Retry the processing of a failed video
+ */
+router.route("/:videoId/retry").post(verifyJwt, retryVideoProcessing);
+
+/**
+ * Change the visibility of a video
+ */
+router
+  .route("/:videoId/visibility")
+  .patch(verifyJwt, updateVideoVisibility);
+
+/**
+ * Get the users and links a video is shared with
+ * Share a video with a user
+ */
+router
+  .route("/:videoId/shares")
+  .get(verifyJwt, getVideoShares)
+  .post(verifyJwt, shareVideoWithUser);
+
+/**
+ * Stop sharing a video with a user
+ */
+router
+  .route("/:videoId/shares/:userId")
+  .delete(verifyJwt, unshareVideoWithUser);
+
+/**
+ * Create a share link to a video
+ */
+router
+  .route("/:videoId/share-links")
+  .post(verifyJwt, createShareLink);
+
+/**
+ * Revoke a share link of a video
+ */
+router
+  .route("/:videoId/share-links/:linkId")
+  .delete(verifyJwt, revokeShareLink);
+
+/**
+ * Report a watched playback of a video
+ */
+router
+  .route("/:videoId/view")
+  .post(
+    rateLimit({ name: "video-view", max: 120, windowMs: 60 * 1000 }),
+    optionalAuth,
+    recordVideoView
+  );
+
+/**
+ * Stream the file of a video
+ */
+router.route("/:videoId/stream").get(optionalAuth, streamVideo);
+
 /**
  * Get a single video by id
  * Delete a video by id
@@ -53,7 +169,7 @@ router.route("/publish").post(
  */
 router
   .route("/:videoId")
-  .get(verifyJwt, getSingleVideo)
+  .get(optionalAuth, getSingleVideo)
   .delete(verifyJwt, deleteVideo)
   .patch(
     verifyJwt,
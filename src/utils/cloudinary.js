@@ -1,34 +0,0 @@
-import { v2 as cloudinary } from "cloudinary";
-import fs from "fs";
-
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-export const uploadOnCloudinary = async (file) => {
-  try {
-    if (!file) return null;
-    const response = await cloudinary.uploader.upload(file, {
-      resource_type: "auto",
-    });
-    fs.unlinkSync(file);
-    return response;
-  } catch (error) {
-    fs.unlinkSync(file);
-    console.error(`Error while uploading on cloudinary ${error}`);
-    return null;
-  }
-};
-
-export const deleteFromCloudinary = async (public_id) => {
-  try {
-    if (!public_id) return null;
-    const response = await cloudinary.uploader.destroy(public_id);
-    return response.result === "ok";
-  } catch (error) {
-    console.error(`Error while deleting from cloudinary ${error}`);
-    return null;
-  }
-};
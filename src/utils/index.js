@@ -2,14 +2,165 @@ import { asyncHandler } from "./asyncHandler.js";
 import { ApiResponse } from "./ApiResponse.js";
 import { ApiError } from "./ApiError.js";
 import {
-  uploadOnCloudinary,
-  deleteFromCloudinary,
-} from "./cloudinary.js";
+  registerStorageProvider,
+  storageKeyOf,
+  storeFile,
+  removeStoredFile,
+  getSignedFileUrl,
+  getFileMetadata,
+  canStreamFile,
+  openFileStream,
+  moveFile,
+} from "./storage/index.js";
+import {
+  sendMail,
+  registerMailTransport,
+  escapeHtml,
+  assertMailTransportConfigured,
+} from "./mailer.js";
+import {
+  hashToken,
+  generateAccessAndRefreshTokens,
+  sendLoginResponse,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeUserSessions,
+  revokeUserApiKeys,
+} from "./session.js";
+import { recordSecurityEvent } from "./securityEvent.js";
+import {
+  ROLES,
+  hasPermission,
+  assertOwnerOrPermission,
+  API_KEY_SCOPES,
+  requiredScope,
+} from "./permissions.js";
+import {
+  watchHistoryPipeline,
+  likedVideosPipeline,
+} from "./pipelines.js";
+import {
+  MemoryRateLimitStore,
+  MongoRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  createAttemptLimiter,
+  loginIdentifierLimiter,
+  loginIpLimiter,
+  twoFactorLimiter,
+  passwordResetLimiter,
+} from "./rateLimiter.js";
+import {
+  isBlockedBetween,
+  assertNotBlocked,
+  getHiddenUserIds,
+} from "./relationships.js";
+import {
+  PRIVACY_SETTINGS,
+  canViewPrivate,
+  assertCanViewPrivate,
+} from "./privacy.js";
+import {
+  normalizeUsername,
+  isUsernameReserved,
+  assertCanChangeUsername,
+  recordUsernameChange,
+  findPreviousOwner,
+} from "./usernames.js";
+import {
+  VIDEO_VISIBILITIES,
+  isVideoOwner,
+  canViewVideo,
+  assertCanViewVideo,
+  viewableVideoIds,
+} from "./videoAccess.js";
+import {
+  issuePlaybackToken,
+  verifyPlaybackToken,
+} from "./playback.js";
+import {
+  isLikelyBot,
+  requiredWatchSeconds,
+  recordView,
+} from "./views.js";
+import { getMediaAdapter, setMediaAdapter } from "./media/index.js";
+import { parsePublishAt } from "./videoSchedule.js";
+import {
+  normalizeTag,
+  normalizeTags,
+  findActiveCategory,
+} from "./taxonomy.js";
+import { escapeRegex, searchTerms, highlightText } from "./search.js";
 
 export {
   asyncHandler,
   ApiResponse,
   ApiError,
-  uploadOnCloudinary,
-  deleteFromCloudinary,
+  registerStorageProvider,
+  storageKeyOf,
+  storeFile,
+  removeStoredFile,
+  getSignedFileUrl,
+  getFileMetadata,
+  canStreamFile,
+  openFileStream,
+  moveFile,
+  sendMail,
+  registerMailTransport,
+  escapeHtml,
+  assertMailTransportConfigured,
+  hashToken,
+  generateAccessAndRefreshTokens,
+  sendLoginResponse,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeUserSessions,
+  revokeUserApiKeys,
+  recordSecurityEvent,
+  ROLES,
+  hasPermission,
+  assertOwnerOrPermission,
+  API_KEY_SCOPES,
+  requiredScope,
+  watchHistoryPipeline,
+  likedVideosPipeline,
+  MemoryRateLimitStore,
+  MongoRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  createAttemptLimiter,
+  loginIdentifierLimiter,
+  loginIpLimiter,
+  twoFactorLimiter,
+  passwordResetLimiter,
+  isBlockedBetween,
+  assertNotBlocked,
+  getHiddenUserIds,
+  PRIVACY_SETTINGS,
+  canViewPrivate,
+  assertCanViewPrivate,
+  normalizeUsername,
+  isUsernameReserved,
+  assertCanChangeUsername,
+  recordUsernameChange,
+  findPreviousOwner,
+  VIDEO_VISIBILITIES,
+  isVideoOwner,
+  canViewVideo,
+  assertCanViewVideo,
+  viewableVideoIds,
+  issuePlaybackToken,
+  verifyPlaybackToken,
+  isLikelyBot,
+  requiredWatchSeconds,
+  recordView,
+  getMediaAdapter,
+  setMediaAdapter,
+  parsePublishAt,
+  normalizeTag,
+  normalizeTags,
+  findActiveCategory,
+  escapeRegex,
+  searchTerms,
+  highlightText,
 };
@@ -0,0 +1,135 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+/**
+ * Console transport, prints every message with its links to stdout,
+ * for development only
+ */
+const consoleTransport = {
+  send: async (message) => {
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+    );
+    return { id: crypto.randomUUID() };
+  },
+};
+
+/**
+ * File transport, writes every message as JSON into the outbox directory
+ */
+const fileTransport = {
+  send: async (message) => {
+    const outboxDir = path.resolve(
+      process.env.MAIL_OUTBOX_DIR || "./outbox"
+    );
+
+    if (!fs.existsSync(outboxDir)) {
+      fs.mkdirSync(outboxDir, { recursive: true });
+    }
+
+    const id = crypto.randomUUID();
+    const file = path.join(outboxDir, `${Date.now()}-${id}.json`);
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify({ id, ...message }, null, 2)
+    );
+    return { id, file };
+  },
+};
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+let smtpClient;
+const smtpTransport = {
+  send: async (message) => {
+    if (!smtpClient) {
+      smtpClient = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? {
+              user: process.env.SMTP_USER,
+              pass: process.env.SMTP_PASSWORD,
+            }
+          : undefined,
+      });
+    }
+    const info = await smtpClient.sendMail(message);
+    return { id: info.messageId };
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape a value before putting it into the html of a mail
+ */
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) => HTML_ESCAPES[char]
+  );
+
+/**
+ * Register a custom transport, it must expose an async send(message)
+ */
+export const registerMailTransport = (name, transport) => {
+  if (typeof transport?.send !== "function") {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * MAIL_TRANSPORT has no default, falling back to the console would
+ * print live verification and reset links into the logs. Called at
+ * startup once the env is loaded
+ */
+export const assertMailTransportConfigured = () => {
+  if (!process.env.MAIL_TRANSPORT) {
+    throw new Error(
+      `MAIL_TRANSPORT is not set, use one of ${Object.keys(
+        transports
+      ).join(", ")}`
+    );
+  }
+};
+
+/**
+ * Send a mail through the transport selected by MAIL_TRANSPORT
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  assertMailTransportConfigured();
+
+  const name = process.env.MAIL_TRANSPORT;
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  return transport.send({
+    from:
+      process.env.MAIL_FROM || "YouTweet <no-reply@youtweet.local>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
@@ -0,0 +1,109 @@
+import path from "path";
+import { spawn } from "child_process";
+
+const run = (command, args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    let stdout = "";
+    let stderr = "";
+
+    child.stdout.on("data", (data) => {
+      stdout += data;
+    });
+    // only the tail is worth keeping, ffmpeg logs a lot
+    child.stderr.on("data", (data) => {
+      stderr = (stderr + data).slice(-4000);
+    });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) return resolve(stdout);
+
+      const lastLine = stderr.trim().split("\n").pop();
+      reject(
+        new Error(
+          `${path.basename(command)} exited with ${code}: ${lastLine}`
+        )
+      );
+    });
+  });
+
+const ffprobe = () => process.env.FFPROBE_PATH || "ffprobe";
+const ffmpeg = () => process.env.FFMPEG_PATH || "ffmpeg";
+
+/**
+ * Media adapter backed by the ffprobe and ffmpeg binaries
+ */
+export const ffmpegMediaAdapter = {
+  probe: async (file) => {
+    const output = await run(ffprobe(), [
+      "-v",
+      "error",
+      "-print_format",
+      "json",
+      "-show_format",
+      "-show_streams",
+      file,
+    ]);
+    const { streams = [], format = {} } = JSON.parse(output);
+    const video = streams.find(
+      (stream) => stream.codec_type === "video"
+    );
+    const audio = streams.find(
+      (stream) => stream.codec_type === "audio"
+    );
+
+    if (!video) {
+      throw new Error("The file has no video stream");
+    }
+
+    return {
+      duration: Number(format.duration) || 0,
+      width: video.width,
+      height: video.height,
+      videoCodec: video.codec_name,
+      audioCodec: audio?.codec_name,
+      bitrate: Number(format.bit_rate) || undefined,
+      format: format.format_name,
+    };
+  },
+
+  generateThumbnail: async (file, output, { atSeconds = 0 } = {}) => {
+    await run(ffmpeg(), [
+      "-y",
+      "-ss",
+      String(atSeconds),
+      "-i",
+      file,
+      "-frames:v",
+      "1",
+      "-vf",
+      "scale=1280:-2",
+      output,
+    ]);
+  },
+
+  transcode: async (file, output, { height }) => {
+    await run(ffmpeg(), [
+      "-y",
+      "-i",
+      file,
+      "-vf",
+      `scale=-2:${height}`,
+      "-c:v",
+      "libx264",
+      "-preset",
+      "veryfast",
+      "-crf",
+      "23",
+      "-c:a",
+      "aac",
+      "-b:a",
+      "128k",
+      "-movflags",
+      "+faststart",
+      output,
+    ]);
+  },
+};
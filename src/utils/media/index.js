@@ -0,0 +1,18 @@
+import { ffmpegMediaAdapter } from "./ffmpeg.js";
+
+/**
+ * A media adapter implements
+ * - probe(file) -> { duration, width, height, videoCodec, audioCodec }
+ * - generateThumbnail(file, output, { atSeconds })
+ * - transcode(file, output, { height })
+ */
+let adapter = ffmpegMediaAdapter;
+
+export const getMediaAdapter = () => adapter;
+
+/**
+ * Swap the media adapter, e.g. for a fake one in tests
+ */
+export const setMediaAdapter = (customAdapter) => {
+  adapter = customAdapter;
+};
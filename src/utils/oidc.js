@@ -0,0 +1,216 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ApiError } from "./ApiError.js";
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+/**
+ * Providers come from OIDC_PROVIDERS, a JSON object keyed by name:
+ * { "google": { "issuer", "clientId", "clientSecret", "scope" } }
+ */
+export const getOidcProvider = (name) => {
+  let providers;
+  try {
+    providers = JSON.parse(process.env.OIDC_PROVIDERS || "{}");
+  } catch (error) {
+    throw new ApiError(500, "OIDC_PROVIDERS is not valid JSON");
+  }
+
+  const provider = providers[name];
+
+  if (!provider?.issuer || !provider?.clientId) {
+    throw new ApiError(404, "Unknown login provider");
+  }
+
+  return {
+    name,
+    scope: "openid email profile",
+    redirectUri: `${process.env.SERVER_URL}/api/user/oauth/${name}/callback`,
+    ...provider,
+    issuer: provider.issuer.replace(/\/$/, ""),
+  };
+};
+
+const fetchJson = async (url, options) => {
+  // a slow provider must not hold the login request open
+  const controller = new AbortController();
+  const timer = setTimeout(
+    () => controller.abort(),
+    FETCH_TIMEOUT_MS
+  );
+
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    clearTimeout(timer);
+    throw new ApiError(
+      502,
+      error.name === "AbortError"
+        ? "Login provider did not respond in time"
+        : "Login provider could not be reached"
+    );
+  }
+  const body = await response
+    .json()
+    .catch(() => null)
+    .finally(() => clearTimeout(timer));
+
+  if (!response.ok || !body) {
+    throw new ApiError(
+      502,
+      `Login provider request failed with status ${response.status}`,
+      [],
+      body
+    );
+  }
+
+  return body;
+};
+
+/**
+ * OpenID Connect discovery document of the issuer, cached for an hour
+ */
+export const discoverOidcProvider = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.document;
+  }
+
+  const document = await fetchJson(
+    `${provider.issuer}/.well-known/openid-configuration`
+  );
+
+  if (document.issuer?.replace(/\/$/, "") !== provider.issuer) {
+    throw new ApiError(502, "Login provider issuer mismatch");
+  }
+
+  discoveryCache.set(provider.issuer, {
+    document,
+    expiresAt: Date.now() + DISCOVERY_TTL_MS,
+  });
+  return document;
+};
+
+export const createPkcePair = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+  return { codeVerifier, codeChallenge };
+};
+
+export const buildAuthorizationUrl = async (
+  provider,
+  { state, nonce, codeChallenge }
+) => {
+  const document = await discoverOidcProvider(provider);
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  });
+
+  return `${document.authorization_endpoint}?${params.toString()}`;
+};
+
+export const exchangeAuthorizationCode = async (
+  provider,
+  { code, codeVerifier }
+) => {
+  const document = await discoverOidcProvider(provider);
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+
+  if (provider.clientSecret) {
+    body.set("client_secret", provider.clientSecret);
+  }
+
+  return fetchJson(document.token_endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body,
+  });
+};
+
+const getSigningKey = async (provider, kid) => {
+  const document = await discoverOidcProvider(provider);
+  const cacheKey = `${provider.issuer}|${kid}`;
+
+  if (!jwksCache.has(cacheKey)) {
+    // unknown kid, the provider may have rotated its keys
+    const { keys = [] } = await fetchJson(document.jwks_uri);
+    for (const jwk of keys) {
+      if (jwk.kid && (!jwk.use || jwk.use === "sig")) {
+        jwksCache.set(
+          `${provider.issuer}|${jwk.kid}`,
+          crypto.createPublicKey({ key: jwk, format: "jwk" })
+        );
+      }
+    }
+  }
+
+  const key = jwksCache.get(cacheKey);
+  if (!key) {
+    throw new ApiError(401, "Unknown login provider signing key");
+  }
+  return key;
+};
+
+/**
+ * Verify the signature and claims of an id token, resolves to its claims
+ */
+export const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded?.header?.kid) {
+    throw new ApiError(401, "Invalid id token");
+  }
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: [
+        "RS256",
+        "RS384",
+        "RS512",
+        "ES256",
+        "ES384",
+        "PS256",
+      ],
+      issuer: [provider.issuer, `${provider.issuer}/`],
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    throw new ApiError(401, `Invalid id token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new ApiError(401, "Invalid id token nonce");
+  }
+
+  return claims;
+};
@@ -0,0 +1,89 @@
+import { ApiError } from "./ApiError.js";
+
+export const ROLES = ["user", "creator", "moderator", "admin"];
+
+const MODERATOR_PERMISSIONS = [
+  "videos:moderate",
+  "tweets:moderate",
+  "comments:moderate",
+  "playlists:moderate",
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  creator: [],
+  moderator: MODERATOR_PERMISSIONS,
+  admin: [
+    ...MODERATOR_PERMISSIONS,
+    "users:manage",
+    "categories:manage",
+  ],
+};
+
+export const hasPermission = (user, permission) =>
+  Boolean(
+    user &&
+      ROLE_PERMISSIONS[user.role || "user"]?.includes(permission)
+  );
+
+/**
+ * Let the owner of a resource through, or anyone holding the permission
+ * that covers acting on resources of other users
+ */
+export const assertOwnerOrPermission = (
+  user,
+  ownerId,
+  permission,
+  message = "You are not authorized to perform this action"
+) => {
+  const isOwner =
+    Boolean(user && ownerId) &&
+    ownerId.toString() === user._id.toString();
+
+  if (!isOwner && !hasPermission(user, permission)) {
+    throw new ApiError(403, message);
+  }
+};
+
+export const API_KEY_SCOPES = [
+  "account:read",
+  "videos:read",
+  "videos:write",
+  "tweets:read",
+  "tweets:write",
+  "comments:read",
+  "comments:write",
+  "likes:read",
+  "likes:write",
+  "playlists:read",
+  "playlists:write",
+  "subscriptions:read",
+  "subscriptions:write",
+  "dashboard:read",
+];
+
+const SCOPE_RESOURCES = {
+  "/api/user": "account",
+  "/api/video": "videos",
+  "/api/tweet": "tweets",
+  "/api/comment": "comments",
+  "/api/like": "likes",
+  "/api/playlist": "playlists",
+  "/api/subscription": "subscriptions",
+  "/api/dashboard": "dashboard",
+  "/api/upload": "videos",
+};
+
+/**
+ * Scope an API key needs for the current request, derived from the
+ * router it hit and whether the method reads or writes
+ */
+export const requiredScope = (req) => {
+  const resource = SCOPE_RESOURCES[req.baseUrl];
+  if (!resource) return null;
+
+  const action = ["GET", "HEAD"].includes(req.method)
+    ? "read"
+    : "write";
+  return `${resource}:${action}`;
+};
@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+
+/**
+ * Watch history of a user with the owner of every video, run on User
+ */
+export const watchHistoryPipeline = (userId) => [
+  {
+    $match: {
+      _id: new mongoose.Types.ObjectId(userId.toString()),
+    },
+  },
+  {
+    $lookup: {
+      from: "videos",
+      localField: "watchHistory",
+      foreignField: "_id",
+      as: "watchHistory",
+      pipeline: [
+        {
+          $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [
+              {
+                $project: {
+                  username: 1,
+                  email: 1,
+                  fullName: 1,
+                  avatar: 1,
+                },
+              },
+            ],
+          },
+        },
+        // played through the stream endpoint, which checks access
+        {
+          $project: {
+            videoFile: 0,
+            videoFileKey: 0,
+            renditions: 0,
+            sharedWith: 0,
+          },
+        },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      owner: { $arrayElemAt: ["$watchHistory.owner", 0] },
+    },
+  },
+];
+
+/**
+ * Videos liked by a user with their owners, run on Like
+ */
+export const likedVideosPipeline = (userId) => [
+  {
+    $match: {
+      likedBy: new mongoose.Types.ObjectId(userId.toString()),
+    },
+  },
+  {
+    $lookup: {
+      from: "videos",
+      localField: "video",
+      foreignField: "_id",
+      as: "videoDetails",
+      pipeline: [
+        {
+          $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "ownerDetails",
+            pipeline: [
+              {
+                $project: {
+                  username: 1,
+                  email: 1,
+                  fullName: 1,
+                  avatar: 1,
+                },
+              },
+            ],
+          },
+        },
+        {
+          $unwind: "$ownerDetails",
+        },
+      ],
+    },
+  },
+  {
+    $unwind: "$videoDetails",
+  },
+
+  {
+    $project: {
+      video: {
+        _id: "$videoDetails._id",
+        thumbnail: "$videoDetails.thumbnail",
+        title: "$videoDetails.title",
+        description: "$videoDetails.description",
+        duration: "$videoDetails.duration",
+        views: "$videoDetails.views",
+        isPublished: "$videoDetails.isPublished",
+        createdAt: "$videoDetails.createdAt",
+        updatedAt: "$videoDetails.updatedAt",
+        owner: "$videoDetails.ownerDetails",
+      },
+    },
+  },
+  {
+    $sort: {
+      "video.createdAt": -1,
+    },
+  },
+];
@@ -0,0 +1,39 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const PLAYBACK_TTL_SECONDS = 6 * 60 * 60;
+
+/**
+ * Token for one playback of a video, the player sends it back when
+ * reporting a view so a view is counted at most once per playback
+ */
+export const issuePlaybackToken = (videoId, viewerId) =>
+  jwt.sign(
+    {
+      video: videoId.toString(),
+      viewer: viewerId?.toString(),
+      pid: crypto.randomUUID(),
+    },
+    process.env.PLAYBACK_TOKEN_SECRET,
+    { expiresIn: PLAYBACK_TTL_SECONDS }
+  );
+
+/**
+ * Payload of a playback token issued for the video, null when the
+ * token is invalid, expired or for another video
+ */
+export const verifyPlaybackToken = (token, videoId) => {
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(
+      String(token),
+      process.env.PLAYBACK_TOKEN_SECRET
+    );
+  } catch (error) {
+    return null;
+  }
+
+  return payload.video === videoId.toString() ? payload : null;
+};
@@ -0,0 +1,35 @@
+import { ApiError } from "./ApiError.js";
+import { hasPermission } from "./permissions.js";
+
+export const PRIVACY_SETTINGS = [
+  "hideSubscribers",
+  "hideSubscriptions",
+  "hideLikedVideos",
+  "hideWatchHistory",
+  "privateChannel",
+];
+
+/**
+ * Whether the viewer may see what the given privacy setting hides,
+ * the owner and user managers always can
+ */
+export const canViewPrivate = (viewer, owner, setting) => {
+  if (!owner?.privacy?.[setting]) return true;
+  if (!viewer) return false;
+
+  return (
+    viewer._id.toString() === owner._id.toString() ||
+    hasPermission(viewer, "users:manage")
+  );
+};
+
+export const assertCanViewPrivate = (
+  viewer,
+  owner,
+  setting,
+  message = "This is private"
+) => {
+  if (!canViewPrivate(viewer, owner, setting)) {
+    throw new ApiError(403, message);
+  }
+};
@@ -0,0 +1,261 @@
+import RateLimit from "../models/rateLimit.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toRecord = (doc) =>
+  doc
+    ? {
+        count: doc.count || 0,
+        lockouts: doc.lockouts || 0,
+        lockedUntil: doc.lockedUntil
+          ? new Date(doc.lockedUntil)
+          : null,
+        resetAt: doc.resetAt ? new Date(doc.resetAt) : null,
+      }
+    : null;
+
+/**
+ * Keeps counters in process memory, only for a single instance
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  read(key) {
+    const record = this.records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return record || null;
+  }
+
+  async get(key) {
+    return toRecord(this.read(key));
+  }
+
+  async increment(key, windowMs, retainMs = DAY_MS) {
+    const now = Date.now();
+    const record = this.read(key) || {
+      count: 0,
+      lockouts: 0,
+      lockedUntil: null,
+      resetAt: 0,
+    };
+
+    if (record.resetAt <= now) {
+      record.count = 0;
+      record.resetAt = now + windowMs;
+    }
+    record.count += 1;
+    record.expiresAt = Math.max(
+      record.resetAt,
+      record.lockedUntil || 0,
+      now + retainMs
+    );
+
+    this.records.set(key, record);
+    return toRecord(record);
+  }
+
+  async lock(key, lockedUntil, retainMs = DAY_MS) {
+    const record = this.read(key) || { lockouts: 0 };
+
+    record.lockouts += 1;
+    record.lockedUntil = lockedUntil.getTime();
+    record.count = 0;
+    record.resetAt = 0;
+    record.expiresAt = record.lockedUntil + retainMs;
+
+    this.records.set(key, record);
+    return toRecord(record);
+  }
+
+  async reset(key) {
+    this.records.delete(key);
+  }
+}
+
+/**
+ * Keeps counters in MongoDB so every instance shares them
+ */
+export class MongoRateLimitStore {
+  async get(key) {
+    return toRecord(await RateLimit.findOne({ key }).lean());
+  }
+
+  async increment(key, windowMs, retainMs = DAY_MS) {
+    const now = new Date();
+    const windowOpen = { $gt: ["$resetAt", now] };
+
+    // a single atomic update so concurrent attempts are all counted
+    const doc = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: {
+              $cond: [windowOpen, { $add: ["$count", 1] }, 1],
+            },
+            resetAt: {
+              $cond: [
+                windowOpen,
+                "$resetAt",
+                new Date(now.getTime() + windowMs),
+              ],
+            },
+            lockouts: { $ifNull: ["$lockouts", 0] },
+          },
+        },
+        {
+          $set: {
+            expiresAt: {
+              $max: [
+                "$resetAt",
+                "$lockedUntil",
+                new Date(now.getTime() + retainMs),
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true, lean: true }
+    );
+
+    return toRecord(doc);
+  }
+
+  async lock(key, lockedUntil, retainMs = DAY_MS) {
+    const doc = await RateLimit.findOneAndUpdate(
+      { key },
+      {
+        $inc: { lockouts: 1 },
+        $set: {
+          count: 0,
+          lockedUntil,
+          expiresAt: new Date(lockedUntil.getTime() + retainMs),
+        },
+        $unset: { resetAt: 1 },
+      },
+      { upsert: true, new: true, lean: true }
+    );
+
+    return toRecord(doc);
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+let store;
+
+/**
+ * Store selected by RATE_LIMIT_STORE, mongo unless set to memory
+ */
+export const getRateLimitStore = () => {
+  if (!store) {
+    store =
+      process.env.RATE_LIMIT_STORE === "memory"
+        ? new MemoryRateLimitStore()
+        : new MongoRateLimitStore();
+  }
+  return store;
+};
+
+/**
+ * Plug in another store, it must implement get, increment, lock and reset
+ */
+export const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+const retryAfterSeconds = (lockedUntil) =>
+  Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1);
+
+/**
+ * Count failed attempts per key and lock the key once there are too
+ * many, every further lockout doubles in length up to maxLockoutMs
+ */
+export const createAttemptLimiter = ({
+  prefix,
+  maxAttempts,
+  windowMs,
+  lockoutMs,
+  maxLockoutMs,
+}) => ({
+  async check(key) {
+    const record = await getRateLimitStore().get(`${prefix}:${key}`);
+
+    if (record?.lockedUntil && record.lockedUntil > new Date()) {
+      return {
+        locked: true,
+        retryAfter: retryAfterSeconds(record.lockedUntil),
+      };
+    }
+    return { locked: false };
+  },
+
+  async fail(key) {
+    const storeKey = `${prefix}:${key}`;
+    const record = await getRateLimitStore().increment(
+      storeKey,
+      windowMs
+    );
+
+    if (record.count < maxAttempts) {
+      return { locked: false, remaining: maxAttempts - record.count };
+    }
+
+    const duration = Math.min(
+      lockoutMs * 2 ** record.lockouts,
+      maxLockoutMs
+    );
+    const lockedUntil = new Date(Date.now() + duration);
+    await getRateLimitStore().lock(storeKey, lockedUntil);
+
+    return {
+      locked: true,
+      lockedUntil,
+      retryAfter: retryAfterSeconds(lockedUntil),
+    };
+  },
+
+  async succeed(key) {
+    await getRateLimitStore().reset(`${prefix}:${key}`);
+  },
+});
+
+export const loginIdentifierLimiter = createAttemptLimiter({
+  prefix: "login:identifier",
+  maxAttempts: 5,
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 60 * 1000,
+  maxLockoutMs: 60 * 60 * 1000,
+});
+
+export const loginIpLimiter = createAttemptLimiter({
+  prefix: "login:ip",
+  maxAttempts: 30,
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 5 * 60 * 1000,
+  maxLockoutMs: 60 * 60 * 1000,
+});
+
+export const twoFactorLimiter = createAttemptLimiter({
+  prefix: "login:2fa",
+  maxAttempts: 5,
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 5 * 60 * 1000,
+  maxLockoutMs: 60 * 60 * 1000,
+});
+
+// every reset mail counts, not only failures
+export const passwordResetLimiter = createAttemptLimiter({
+  prefix: "forgot-password:user",
+  maxAttempts: 3,
+  windowMs: 60 * 60 * 1000,
+  lockoutMs: 60 * 60 * 1000,
+  maxLockoutMs: 24 * 60 * 60 * 1000,
+});
@@ -0,0 +1,49 @@
+import Relationship from "../models/relationship.model.js";
+import { ApiError } from "./ApiError.js";
+
+/**
+ * True when either user has blocked the other
+ */
+export const isBlockedBetween = async (userId, otherUserId) => {
+  if (!userId || !otherUserId) return false;
+
+  const block = await Relationship.exists({
+    type: "block",
+    $or: [
+      { user: userId, target: otherUserId },
+      { user: otherUserId, target: userId },
+    ],
+  });
+
+  return Boolean(block);
+};
+
+/**
+ * Refuse an interaction between two users when one blocked the other
+ */
+export const assertNotBlocked = async (
+  userId,
+  otherUserId,
+  message = "You can not interact with this user"
+) => {
+  if (await isBlockedBetween(userId, otherUserId)) {
+    throw new ApiError(403, message);
+  }
+};
+
+/**
+ * Users whose content is hidden from a viewer: the ones the viewer
+ * blocked or muted and the ones who blocked the viewer
+ */
+export const getHiddenUserIds = async (userId) => {
+  if (!userId) return [];
+
+  const [ownIds, blockedByIds] = await Promise.all([
+    Relationship.find({ user: userId }).distinct("target"),
+    Relationship.find({ target: userId, type: "block" }).distinct(
+      "user"
+    ),
+  ]);
+
+  return [...ownIds, ...blockedByIds];
+};
@@ -0,0 +1,53 @@
+const MAX_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+
+export const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Words of a search query, lowercased and without duplicates
+ * Quotes and dashes are dropped so input can not use the $text
+ * phrase and negation syntax
+ */
+export const searchTerms = (query) =>
+  [
+    ...new Set(
+      String(query ?? "")
+        .toLowerCase()
+        .match(/[\p{L}\p{N}_]+/gu) || []
+    ),
+  ].slice(0, MAX_TERMS);
+
+/**
+ * Cut a snippet around the first match of the terms, matches are
+ * returned as [start, end) offsets into the snippet so clients mark
+ * them up themselves
+ */
+export const highlightText = (text, terms) => {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(terms.map(escapeRegex).join("|"), "giu");
+  const first = String(text).search(pattern);
+  if (first === -1) return null;
+
+  const start =
+    text.length > SNIPPET_LENGTH
+      ? Math.max(
+          0,
+          Math.min(
+            first - Math.floor(SNIPPET_LENGTH / 4),
+            text.length - SNIPPET_LENGTH
+          )
+        )
+      : 0;
+  const snippet = text.slice(start, start + SNIPPET_LENGTH);
+
+  return {
+    snippet,
+    matches: [...snippet.matchAll(pattern)].map((match) => [
+      match.index,
+      match.index + match[0].length,
+    ]),
+    truncated: start > 0 || start + SNIPPET_LENGTH < text.length,
+  };
+};
@@ -0,0 +1,25 @@
+import SecurityEvent from "../models/securityEvent.model.js";
+
+/**
+ * Record a security incident the user can later review
+ * Never throws, a failed write must not break the request
+ */
+export const recordSecurityEvent = async (
+  userId,
+  type,
+  req,
+  details = {}
+) => {
+  try {
+    return await SecurityEvent.create({
+      user: userId,
+      type,
+      ip: req?.ip,
+      userAgent: req?.get("user-agent"),
+      details,
+    });
+  } catch (error) {
+    console.error(`Error while recording security event ${error}`);
+    return null;
+  }
+};
@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import ApiKey from "../models/apiKey.model.js";
+import User from "../models/user.model.js";
+import { ApiError } from "./ApiError.js";
+import { ApiResponse } from "./ApiResponse.js";
+import { recordSecurityEvent } from "./securityEvent.js";
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const issueTokens = (user, req, sessionId) => {
+  const accessToken = user.generateAccessToken(sessionId);
+  const refreshToken = user.generateRefreshToken(sessionId);
+
+  return {
+    accessToken,
+    refreshToken,
+    fields: {
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+    },
+  };
+};
+
+/**
+ * Open a new session, which is also a new refresh token family,
+ * and issue its first access and refresh token pair
+ */
+export const generateAccessAndRefreshTokens = async (user, req) => {
+  try {
+    const sessionId = new mongoose.Types.ObjectId();
+    const { accessToken, refreshToken, fields } = issueTokens(
+      user,
+      req,
+      sessionId
+    );
+
+    await Session.create({
+      _id: sessionId,
+      user: user._id,
+      ...fields,
+    });
+
+    return { accessToken, refreshToken, sessionId };
+  } catch (error) {
+    throw new ApiError(
+      500,
+      "Something went wrong while generating refresh and access token"
+    );
+  }
+};
+
+/**
+ * Open a session for a user whose credentials were checked, set the
+ * auth cookies and send the login response
+ */
+export const sendLoginResponse = async (req, res, user) => {
+  const { accessToken, refreshToken } =
+    await generateAccessAndRefreshTokens(user, req);
+
+  const loggedInUser = await User.findById(user._id)
+    .select("-password")
+    .exec();
+
+  const cookieOptions = {
+    sameSite: "strict",
+
+    path: "/",
+  };
+
+  if (process.env.NODE_ENV === "production") {
+    cookieOptions.secure = true;
+  }
+
+  return res
+    .status(200)
+    .cookie("refreshToken", refreshToken, {
+      ...cookieOptions,
+      httpOnly: true,
+    })
+    .cookie("accessToken", accessToken, cookieOptions)
+    .json(
+      new ApiResponse(200, "User Login Successfully", {
+        loggedInUser,
+        accessToken,
+        refreshToken,
+      })
+    );
+};
+
+/**
+ * Rotate the refresh token of a session
+ * Resolves to null when the presented token is no longer the latest one
+ * of its family, which means it was replayed
+ */
+export const rotateRefreshToken = async (
+  user,
+  req,
+  session,
+  presentedToken
+) => {
+  const presentedHash = hashToken(presentedToken);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    return null;
+  }
+
+  const { accessToken, refreshToken, fields } = issueTokens(
+    user,
+    req,
+    session._id
+  );
+
+  // the hash guard makes concurrent rotations of one token fail
+  const result = await Session.updateOne(
+    {
+      _id: session._id,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+    },
+    { $set: fields }
+  );
+
+  if (!result.modifiedCount) {
+    return null;
+  }
+
+  return { accessToken, refreshToken, sessionId: session._id };
+};
+
+/**
+ * Revoke a whole token family after one of its rotated tokens was replayed
+ */
+export const revokeTokenFamily = async (session, req) => {
+  await Session.updateOne(
+    { _id: session._id },
+    {
+      $set: { revokedAt: new Date(), revokedReason: "token-reuse" },
+    }
+  );
+
+  await recordSecurityEvent(
+    session.user,
+    "refresh-token-reuse",
+    req,
+    {
+      session: session._id,
+      sessionUserAgent: session.userAgent,
+      sessionIp: session.ip,
+    }
+  );
+};
+
+/**
+ * Revoke every active session of a user, optionally sparing one
+ */
+export const revokeUserSessions = async (userId, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date() },
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every API key of a user, for when the account may be
+ * compromised or is about to go away
+ */
+export const revokeUserApiKeys = async (userId) => {
+  const result = await ApiKey.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
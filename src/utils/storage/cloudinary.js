@@ -0,0 +1,63 @@
+import { v2 as cloudinary } from "cloudinary";
+
+let configured = false;
+
+// configured on first use, the env is not loaded when this is imported
+const client = () => {
+  if (!configured) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+    configured = true;
+  }
+  return cloudinary;
+};
+
+/**
+ * Keys are cloudinary public ids
+ */
+export const cloudinaryStorageProvider = {
+  upload: async (file) => {
+    const response = await client().uploader.upload(file, {
+      resource_type: "auto",
+    });
+
+    return {
+      key: response.public_id,
+      url: response.secure_url || response.url,
+      bytes: response.bytes,
+      format: response.format,
+      duration: response.duration,
+    };
+  },
+
+  delete: async (key, { resourceType = "image" } = {}) => {
+    const response = await client().uploader.destroy(key, {
+      resource_type: resourceType,
+    });
+    return response.result === "ok";
+  },
+
+  getSignedUrl: async (key, { resourceType = "image" } = {}) =>
+    client().url(key, {
+      resource_type: resourceType,
+      secure: true,
+      sign_url: true,
+    }),
+
+  getMetadata: async (key, { resourceType = "image" } = {}) => {
+    const resource = await client().api.resource(key, {
+      resource_type: resourceType,
+    });
+
+    return {
+      key,
+      bytes: resource.bytes,
+      format: resource.format,
+      duration: resource.duration,
+      updatedAt: new Date(resource.created_at),
+    };
+  },
+};
@@ -0,0 +1,170 @@
+import fs from "fs";
+import { cloudinaryStorageProvider } from "./cloudinary.js";
+import {
+  localStorageProvider,
+  localStorageDir,
+  localStoragePath,
+  moveFile,
+  verifyLocalSignature,
+} from "./local.js";
+
+/**
+ * A storage provider implements
+ * - upload(file, { resourceType }) -> { key, url, bytes, format, duration }
+ * - delete(key, { resourceType }) -> true, or false when not found
+ * - getSignedUrl(key, { resourceType }) -> url
+ * - getMetadata(key, { resourceType }) -> { key, bytes, format, updatedAt }
+ * and throws when the backend fails. Providers that can hand out bytes
+ * also implement createReadStream(key, { start, end })
+ */
+const providers = {
+  cloudinary: cloudinaryStorageProvider,
+  local: localStorageProvider,
+};
+
+const REQUIRED_METHODS = [
+  "upload",
+  "delete",
+  "getSignedUrl",
+  "getMetadata",
+];
+
+/**
+ * Register a custom storage provider
+ */
+export const registerStorageProvider = (name, provider) => {
+  const missing = REQUIRED_METHODS.filter(
+    (method) => typeof provider?.[method] !== "function"
+  );
+
+  if (missing.length) {
+    throw new Error(
+      `Storage provider "${name}" must implement ${missing.join(
+        ", "
+      )}`
+    );
+  }
+  providers[name] = provider;
+};
+
+const providerName = () =>
+  process.env.STORAGE_PROVIDER || "cloudinary";
+
+const getProvider = (name) => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown storage provider "${name}"`);
+  }
+  return provider;
+};
+
+/**
+ * Stored keys carry their provider, "local:images/abc.png", so files
+ * outlive a change of STORAGE_PROVIDER
+ */
+const parseStorageKey = (storageKey) => {
+  const separator = storageKey?.indexOf(":") ?? -1;
+  if (separator <= 0) return null;
+
+  return {
+    provider: getProvider(storageKey.slice(0, separator)),
+    key: storageKey.slice(separator + 1),
+  };
+};
+
+// documents from before keys were stored only have a url
+const storageKeyFromUrl = (url) => {
+  if (!url) return null;
+
+  if (url.includes("res.cloudinary.com")) {
+    return `cloudinary:${url.split("/").pop().split(".")[0]}`;
+  }
+
+  const localPath = url.split("/media/")[1];
+  return localPath ? `local:${localPath}` : null;
+};
+
+/**
+ * Storage key of a file field of a document, e.g. "thumbnail" reads
+ * thumbnailKey and falls back to parsing the thumbnail url
+ */
+export const storageKeyOf = (doc, field) =>
+  doc?.[`${field}Key`] || storageKeyFromUrl(doc?.[field]);
+
+/**
+ * Upload a temp file with the configured provider, the temp file is
+ * always removed. Resolves to null when the upload failed
+ */
+export const storeFile = async (
+  file,
+  { resourceType = "image" } = {}
+) => {
+  if (!file) return null;
+
+  const name = providerName();
+  try {
+    const stored = await getProvider(name).upload(file, {
+      resourceType,
+    });
+    return { ...stored, key: `${name}:${stored.key}` };
+  } catch (error) {
+    console.error(`Error while storing file with ${name} ${error}`);
+    return null;
+  } finally {
+    await fs.promises.rm(file, { force: true });
+  }
+};
+
+/**
+ * Delete a stored file, resolves to null when the provider failed and
+ * to false when there was nothing to delete
+ */
+export const removeStoredFile = async (
+  storageKey,
+  { resourceType = "image" } = {}
+) => {
+  try {
+    const parsed = parseStorageKey(storageKey);
+    if (!parsed) return false;
+
+    return await parsed.provider.delete(parsed.key, { resourceType });
+  } catch (error) {
+    console.error(`Error while deleting ${storageKey} ${error}`);
+    return null;
+  }
+};
+
+export const getSignedFileUrl = async (storageKey, options = {}) => {
+  const parsed = parseStorageKey(storageKey);
+  if (!parsed) return null;
+
+  return parsed.provider.getSignedUrl(parsed.key, options);
+};
+
+export const getFileMetadata = async (storageKey, options = {}) => {
+  const parsed = parseStorageKey(storageKey);
+  if (!parsed) return null;
+
+  return parsed.provider.getMetadata(parsed.key, options);
+};
+
+/**
+ * Whether the provider of a stored file hands out its bytes, clients
+ * have to be sent to the url of the file otherwise
+ */
+export const canStreamFile = (storageKey) =>
+  typeof parseStorageKey(storageKey)?.provider.createReadStream ===
+  "function";
+
+export const openFileStream = (storageKey, range = {}) => {
+  const parsed = parseStorageKey(storageKey);
+  return parsed.provider.createReadStream(parsed.key, range);
+};
+
+export {
+  localStorageDir,
+  localStoragePath,
+  moveFile,
+  verifyLocalSignature,
+};
@@ -0,0 +1,128 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const localStorageDir = () =>
+  path.resolve(process.env.LOCAL_STORAGE_DIR || "./storage");
+
+/**
+ * Absolute path of a key, refuses keys that escape the storage directory
+ */
+export const localStoragePath = (key) => {
+  const root = localStorageDir();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+const SIGNED_URL_TTL_SECONDS = 6 * 60 * 60;
+
+const publicUrl = (key) =>
+  `${process.env.SERVER_URL || ""}/media/${key}`;
+
+const signKey = (key, expires) =>
+  crypto
+    .createHmac("sha256", process.env.MEDIA_URL_SECRET)
+    .update(`${key}:${expires}`)
+    .digest("base64url");
+
+/**
+ * Whether the expires and signature query of a /media url were issued
+ * for the key by getSignedUrl and have not expired yet
+ */
+export const verifyLocalSignature = (key, { expires, signature }) => {
+  const expiresAt = Number(expires);
+  if (
+    !Number.isInteger(expiresAt) ||
+    expiresAt * 1000 < Date.now() ||
+    typeof signature !== "string"
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(signKey(key, expiresAt));
+  const received = Buffer.from(signature);
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Move a file, falls back to copying across devices
+ */
+export const moveFile = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    // the temp directory can sit on another device
+    if (error.code !== "EXDEV") throw error;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.rm(from, { force: true });
+  }
+};
+
+/**
+ * Keeps files on the local disk and serves them from /media, so the
+ * backend runs without any cloud account. Videos are only served from
+ * signed urls, images stay public
+ */
+export const localStorageProvider = {
+  upload: async (file, { resourceType = "image" } = {}) => {
+    const extension = path.extname(file).toLowerCase();
+    const key = `${resourceType}s/${crypto.randomUUID()}${extension}`;
+    const filePath = localStoragePath(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), {
+      recursive: true,
+    });
+    await moveFile(file, filePath);
+    const { size } = await fs.promises.stat(filePath);
+
+    return {
+      key,
+      url: publicUrl(key),
+      bytes: size,
+      format: extension.slice(1),
+    };
+  },
+
+  delete: async (key) => {
+    const filePath = localStoragePath(key);
+
+    if (!fs.existsSync(filePath)) return false;
+    await fs.promises.rm(filePath, { force: true });
+    return true;
+  },
+
+  getSignedUrl: async (
+    key,
+    { expiresIn = SIGNED_URL_TTL_SECONDS } = {}
+  ) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${publicUrl(key)}?expires=${expires}&signature=${signKey(
+      key,
+      expires
+    )}`;
+  },
+
+  getMetadata: async (key) => {
+    const { size, mtime } = await fs.promises.stat(
+      localStoragePath(key)
+    );
+
+    return {
+      key,
+      bytes: size,
+      format: path.extname(key).slice(1),
+      updatedAt: mtime,
+    };
+  },
+
+  createReadStream: (key, { start, end } = {}) =>
+    fs.createReadStream(localStoragePath(key), { start, end }),
+};
@@ -0,0 +1,64 @@
+import { isValidObjectId } from "mongoose";
+import Category from "../models/category.model.js";
+import { ApiError } from "./ApiError.js";
+
+const MAX_TAGS = 15;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Lowercase, drop a leading # and join words with dashes so
+ * "#Cooking Tips" and "cooking_tips" end up as the same tag
+ */
+export const normalizeTag = (tag) =>
+  String(tag)
+    .normalize("NFKC")
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{N}-]/gu, "")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, MAX_TAG_LENGTH);
+
+/**
+ * Read tags from a request body, an array or a comma separated string
+ * Undefined when they were not sent
+ */
+export const normalizeTags = (value) => {
+  if (value === undefined) return undefined;
+
+  const raw = Array.isArray(value) ? value : String(value).split(",");
+  const tags = [...new Set(raw.map(normalizeTag).filter(Boolean))];
+
+  if (tags.length > MAX_TAGS) {
+    throw new ApiError(
+      400,
+      `A video can have at most ${MAX_TAGS} tags`
+    );
+  }
+
+  return tags;
+};
+
+/**
+ * Find an active category by id or slug, undefined when none was sent
+ * and null when it was cleared
+ */
+export const findActiveCategory = async (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "" || value === "null") return null;
+
+  const category = await Category.findOne({
+    ...(isValidObjectId(value)
+      ? { _id: value }
+      : { slug: normalizeTag(value) }),
+    isActive: true,
+  });
+
+  if (!category) {
+    throw new ApiError(400, "Unknown category");
+  }
+
+  return category;
+};
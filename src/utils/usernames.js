@@ -0,0 +1,68 @@
+import UsernameHistory from "../models/usernameHistory.model.js";
+import { ApiError } from "./ApiError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USERNAME_CHANGE_WINDOW_DAYS = 30;
+const MAX_USERNAME_CHANGES = 3;
+
+const reservationDays = () =>
+  Number(process.env.USERNAME_RESERVATION_DAYS) || 30;
+
+export const normalizeUsername = (username) =>
+  String(username).trim().toLowerCase();
+
+/**
+ * True when a previous owner still holds the handle, a user can
+ * always take back one of their own old handles
+ */
+export const isUsernameReserved = async (username, userId) => {
+  const reservation = await UsernameHistory.exists({
+    username: normalizeUsername(username),
+    reservedUntil: { $gt: new Date() },
+    ...(userId && { user: { $ne: userId } }),
+  });
+
+  return Boolean(reservation);
+};
+
+/**
+ * Refuse a username change once the user made too many recently
+ */
+export const assertCanChangeUsername = async (userId) => {
+  const recentChanges = await UsernameHistory.countDocuments({
+    user: userId,
+    createdAt: {
+      $gt: new Date(
+        Date.now() - USERNAME_CHANGE_WINDOW_DAYS * DAY_MS
+      ),
+    },
+  });
+
+  if (recentChanges >= MAX_USERNAME_CHANGES) {
+    throw new ApiError(
+      429,
+      `You can change your username ${MAX_USERNAME_CHANGES} times every ${USERNAME_CHANGE_WINDOW_DAYS} days`
+    );
+  }
+};
+
+/**
+ * Keep the handle a user gave up so old links still resolve
+ */
+export const recordUsernameChange = (userId, previousUsername) =>
+  UsernameHistory.create({
+    user: userId,
+    username: previousUsername,
+    reservedUntil: new Date(Date.now() + reservationDays() * DAY_MS),
+  });
+
+/**
+ * The user who most recently gave up a handle
+ */
+export const findPreviousOwner = async (username) => {
+  const entry = await UsernameHistory.findOne({
+    username: normalizeUsername(username),
+  }).sort({ createdAt: -1 });
+
+  return entry?.user || null;
+};
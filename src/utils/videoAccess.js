@@ -0,0 +1,115 @@
+import Video from "../models/video.model.js";
+import Subscription from "../models/subscription.model.js";
+import VideoShareToken from "../models/videoShareToken.model.js";
+import { ApiError } from "./ApiError.js";
+import { hasPermission } from "./permissions.js";
+import { hashToken } from "./session.js";
+
+/**
+ * public: listed and open to everyone
+ * unlisted: open to anyone with the link, never listed
+ * private: only the users it is shared with or a share link
+ * members: only the active subscribers of the channel
+ */
+export const VIDEO_VISIBILITIES = [
+  "public",
+  "unlisted",
+  "private",
+  "members",
+];
+
+const ownerIdOf = (video) => video.owner?._id ?? video.owner;
+
+export const isVideoOwner = (user, video) =>
+  Boolean(user && video?.owner) &&
+  ownerIdOf(video).toString() === user._id.toString();
+
+const isProcessed = (video) =>
+  !["processing", "failed"].includes(video.status);
+
+const isSharedWith = (user, video) =>
+  Boolean(user) &&
+  (video.sharedWith || []).some(
+    (userId) => userId.toString() === user._id.toString()
+  );
+
+const isChannelMember = async (user, video) =>
+  Boolean(user) &&
+  Boolean(
+    await Subscription.exists({
+      subscriber: user._id,
+      channel: ownerIdOf(video),
+      status: { $ne: "pending" },
+    })
+  );
+
+const isValidShareToken = async (shareToken, video) =>
+  Boolean(shareToken) &&
+  Boolean(
+    await VideoShareToken.exists({
+      tokenHash: hashToken(String(shareToken)),
+      video: video._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+  );
+
+/**
+ * Owners and moderators see every video, everyone else only published
+ * and processed videos that their visibility lets through
+ */
+export const canViewVideo = async (
+  user,
+  video,
+  { shareToken } = {}
+) => {
+  if (!video) return false;
+
+  if (
+    isVideoOwner(user, video) ||
+    hasPermission(user, "videos:moderate")
+  ) {
+    return true;
+  }
+
+  if (!video.isPublished || !isProcessed(video)) return false;
+
+  switch (video.visibility) {
+    case "private":
+      return (
+        isSharedWith(user, video) ||
+        isValidShareToken(shareToken, video)
+      );
+    case "members":
+      return isChannelMember(user, video);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Answers 404 rather than 403 so hidden videos do not leak their ids
+ */
+export const assertCanViewVideo = async (user, video, options) => {
+  if (!(await canViewVideo(user, video, options))) {
+    throw new ApiError(404, "Video not found");
+  }
+};
+
+/**
+ * Ids, as strings, of the videos among videoIds the user can still view
+ */
+export const viewableVideoIds = async (user, videoIds) => {
+  const videos = await Video.find({ _id: { $in: videoIds } }).select(
+    "owner isPublished status visibility sharedWith"
+  );
+  const viewable = await Promise.all(
+    videos.map((video) => canViewVideo(user, video))
+  );
+
+  return new Set(
+    videos
+      .filter((video, index) => viewable[index])
+      .map((video) => video._id.toString())
+  );
+};
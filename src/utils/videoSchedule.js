@@ -0,0 +1,31 @@
+import { ApiError } from "./ApiError.js";
+
+const MAX_SCHEDULE_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Read a publishAt field from a request body, undefined when it was
+ * not sent and null when it was cleared
+ */
+export const parsePublishAt = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "" || value === "null") return null;
+
+  const publishAt = new Date(value);
+
+  if (Number.isNaN(publishAt.getTime())) {
+    throw new ApiError(400, "publishAt must be a valid date");
+  }
+
+  if (publishAt <= new Date()) {
+    throw new ApiError(400, "publishAt must be in the future");
+  }
+
+  if (publishAt.getTime() - Date.now() > MAX_SCHEDULE_MS) {
+    throw new ApiError(
+      400,
+      "Videos can be scheduled at most a year ahead"
+    );
+  }
+
+  return publishAt;
+};
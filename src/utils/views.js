@@ -0,0 +1,102 @@
+import ViewEvent from "../models/viewEvent.model.js";
+import Video from "../models/video.model.js";
+import { isVideoOwner } from "./videoAccess.js";
+import { getRateLimitStore } from "./rateLimiter.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const RETENTION_MS = 30 * 24 * HOUR_MS;
+const MIN_WATCH_SECONDS = 30;
+// allowed drift between the clock of the player and ours
+const CLOCK_SLACK_SECONDS = 5;
+
+const BOT_PATTERN =
+  /bot|crawl|spider|slurp|preview|headless|phantom|curl|wget|python|java\/|go-http|okhttp|axios|node-fetch/i;
+
+const viewWindowMs = () =>
+  (Number(process.env.VIEW_DEDUP_HOURS) || 24) * HOUR_MS;
+
+export const isLikelyBot = (userAgent) =>
+  !userAgent || BOT_PATTERN.test(userAgent);
+
+/**
+ * Seconds of a video that have to be watched before it counts as a
+ * view, half of short videos
+ */
+export const requiredWatchSeconds = (duration) =>
+  duration > 0
+    ? Math.min(MIN_WATCH_SECONDS, Math.ceil(duration / 2))
+    : MIN_WATCH_SECONDS;
+
+/**
+ * Count a view unless it comes from the owner or a bot, was too short,
+ * or the viewer got a view counted less than a window ago. Anonymous
+ * viewers are told apart by the fingerprint of their ip
+ * Resolves to { counted, reason }
+ */
+export const recordView = async ({
+  video,
+  viewer,
+  fingerprint,
+  playback,
+  watchedSeconds,
+  userAgent,
+}) => {
+  if (isVideoOwner(viewer, video)) {
+    return { counted: false, reason: "owner" };
+  }
+
+  if (isLikelyBot(userAgent)) {
+    return { counted: false, reason: "bot" };
+  }
+
+  // the player reports the watch time, the age of its token caps it
+  const requiredSeconds = requiredWatchSeconds(video.duration);
+  const playbackAge = Date.now() / 1000 - playback.iat;
+
+  if (
+    watchedSeconds < requiredSeconds ||
+    playbackAge + CLOCK_SLACK_SECONDS < requiredSeconds
+  ) {
+    return { counted: false, reason: "too-short", requiredSeconds };
+  }
+
+  const windowMs = viewWindowMs();
+  const viewerKey = viewer
+    ? `user:${viewer._id}`
+    : `anon:${fingerprint}`;
+
+  // the window opens with the counted view, the atomic counter keeps
+  // racing reports of the same viewer from both getting in
+  const { count } = await getRateLimitStore().increment(
+    `view:${video._id}:${viewerKey}`,
+    windowMs,
+    windowMs
+  );
+
+  if (count > 1) {
+    return { counted: false, reason: "duplicate" };
+  }
+
+  const windowStart = Date.now();
+
+  try {
+    await ViewEvent.create({
+      video: video._id,
+      viewer: viewer?._id,
+      viewerKey,
+      windowStart: new Date(windowStart),
+      playbackId: playback.pid,
+      watchedSeconds,
+      expiresAt: new Date(windowStart + windowMs + RETENTION_MS),
+    });
+  } catch (error) {
+    // the playback already counted under another viewer key
+    if (error.code === 11000) {
+      return { counted: false, reason: "duplicate" };
+    }
+    throw error;
+  }
+
+  await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } });
+  return { counted: true };
+};